@@ -0,0 +1,180 @@
+// ===========================================
+// MASTERY OS - ANALYTICS
+// ===========================================
+//
+// Trends computed from each topic's status/progress history (`transitions`,
+// recorded by the store) and its study sessions:
+//   completionOverTime()  topics mastered per week, and the running total
+//   planningBurndown()    size of the planning queue at the end of each week
+//   timeToMastery()       average days from planning to mastered per group
+//   activityHeatmap()     changes and study sessions per day
+//
+// Topics saved before the history existed get an approximate one: planning
+// when created, their current status since their last update.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./sessions'), require('./deadlines'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.analytics = factory(root.MasteryOS.topics, root.MasteryOS.sessions, root.MasteryOS.deadlines);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, sessions, deadlines) {
+    'use strict';
+
+    const DAY = 24 * 60 * 60 * 1000;
+    const WEEK = 7 * DAY;
+    const DEFAULT_WEEKS = 12;
+    const HEATMAP_WEEKS = 26;
+    const UNCATEGORIZED = 'Uncategorized';
+
+    // HISTORY
+    function historyOf(topic) {
+        if (topic.transitions && topic.transitions.length) return topic.transitions;
+        const created = { at: topic.createdAt, status: 'planning', progress: 0 };
+        if (topic.status === 'planning' || topic.updatedAt === topic.createdAt) {
+            return [{ ...created, status: topic.status, progress: model.getProgress(topic) }];
+        }
+        return [created, { at: topic.updatedAt, status: topic.status, progress: model.getProgress(topic) }];
+    }
+
+    // Status at `time`, null when the topic did not exist yet
+    function statusAt(topic, time) {
+        let status = null;
+        historyOf(topic).forEach(entry => {
+            if (Date.parse(entry.at) <= time) status = entry.status;
+        });
+        return status;
+    }
+
+    /**
+     * @returns {string|null} - When the topic last became completed, null when it is not
+     */
+    function completedAt(topic) {
+        if (topic.status !== 'completed') return null;
+        const history = historyOf(topic);
+        let at = null;
+        history.forEach((entry, index) => {
+            const before = index > 0 ? history[index - 1].status : null;
+            if (entry.status === 'completed' && before !== 'completed') at = entry.at;
+        });
+        return at;
+    }
+
+    // Monday of each of the last `weeks` weeks, oldest first
+    function weekStarts(weeks, now) {
+        const current = sessions.startOfWeek(now);
+        return Array.from({ length: weeks }, (_, index) => {
+            const start = new Date(current);
+            start.setDate(start.getDate() - (weeks - 1 - index) * 7);
+            return start;
+        });
+    }
+
+    // TRENDS
+    /**
+     * @param {Array} topics - Live topics
+     * @param {Object} [options] - { weeks, now }
+     * @returns {Array} - [{ week: "YYYY-MM-DD" (Monday), completed, total }]
+     */
+    function completionOverTime(topics, options = {}) {
+        const now = options.now || Date.now();
+        const times = topics.map(completedAt).filter(Boolean).map(Date.parse);
+        return weekStarts(options.weeks || DEFAULT_WEEKS, now).map(start => {
+            const end = Math.min(start.getTime() + WEEK, now);
+            return {
+                week: deadlines.toDateString(start),
+                completed: times.filter(time => time >= start.getTime() && time < end).length,
+                total: times.filter(time => time < end).length
+            };
+        });
+    }
+
+    /**
+     * @param {Array} topics - Live topics
+     * @param {Object} [options] - { weeks, now }
+     * @returns {Array} - [{ week, planning }] with the queue size at the end of each week
+     */
+    function planningBurndown(topics, options = {}) {
+        const now = options.now || Date.now();
+        return weekStarts(options.weeks || DEFAULT_WEEKS, now).map(start => {
+            const end = Math.min(start.getTime() + WEEK - 1, now);
+            return {
+                week: deadlines.toDateString(start),
+                planning: topics.filter(topic => statusAt(topic, end) === 'planning').length
+            };
+        });
+    }
+
+    /**
+     * Average time from entering planning to becoming mastered
+     * @param {Array} topics - Live topics
+     * @param {string} groupBy - 'priority' | 'category'
+     * @returns {Array} - [{ group, days, count }], only groups with mastered topics
+     */
+    function timeToMastery(topics, groupBy) {
+        const groups = new Map();
+        topics.forEach(topic => {
+            const end = completedAt(topic);
+            if (!end) return;
+            const planned = historyOf(topic).find(entry => entry.status === 'planning') || historyOf(topic)[0];
+            const days = (Date.parse(end) - Date.parse(planned.at)) / DAY;
+            if (!(days >= 0)) return;
+            const group = groupBy === 'priority' ? topic.priority : topic.category || UNCATEGORIZED;
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(days);
+        });
+
+        const order = groupBy === 'priority'
+            ? (a, b) => model.PRIORITIES.indexOf(b) - model.PRIORITIES.indexOf(a)
+            : (a, b) => a.localeCompare(b);
+        return Array.from(groups.keys()).sort(order).map(group => {
+            const values = groups.get(group);
+            return {
+                group,
+                days: Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10,
+                count: values.length
+            };
+        });
+    }
+
+    /**
+     * Status/progress changes plus study sessions per local day, over whole
+     * weeks (Monday first) so the result lays out as a 7-row grid
+     * @param {Array} topics - Live topics
+     * @param {Object} [options] - { weeks, now }
+     * @returns {Object} - { days: [{ date: "YYYY-MM-DD", count }], max }
+     */
+    function activityHeatmap(topics, options = {}) {
+        const now = options.now || Date.now();
+        const weeks = options.weeks || HEATMAP_WEEKS;
+        const counts = new Map();
+        const add = at => {
+            const date = deadlines.toDateString(new Date(at));
+            counts.set(date, (counts.get(date) || 0) + 1);
+        };
+        topics.forEach(topic => {
+            historyOf(topic).forEach(entry => add(entry.at));
+            (topic.sessions || []).forEach(session => add(session.start));
+        });
+
+        const first = weekStarts(weeks, now)[0];
+        const today = deadlines.toDateString(new Date(now));
+        const days = [];
+        for (let day = new Date(first); days.length < weeks * 7; day.setDate(day.getDate() + 1)) {
+            const date = deadlines.toDateString(day);
+            days.push({ date, count: date > today ? null : counts.get(date) || 0 });
+        }
+        return { days, max: Math.max(0, ...days.map(day => day.count || 0)) };
+    }
+
+    return {
+        historyOf,
+        statusAt,
+        completedAt,
+        completionOverTime,
+        planningBurndown,
+        timeToMastery,
+        activityHeatmap
+    };
+});
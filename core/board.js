@@ -0,0 +1,119 @@
+// ===========================================
+// MASTERY OS - KANBAN BOARD
+// ===========================================
+//
+// One column per status. Within a column, cards follow their `rank`
+// (lowest first); cards never moved by hand have no rank and come after
+// the ranked ones, newest first like the list view.
+//
+// moveCard() works out the changes for dropping a card at a position in a
+// column, as `[{ id, data }]` for store.updateTopics(), so a move is one
+// undo step. The position is counted among the cards the user can see, so
+// it stays right while a search or filter hides part of the column. The
+// dropped card normally gets a rank between its new neighbours; only when
+// they have none (or no room is left between them) is the column renumbered.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.board = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const COLUMNS = model.STATUSES;
+    const RANK_STEP = 1000;
+    const MIN_GAP = 1e-6;
+
+    // ORDER
+    function hasRank(topic) {
+        return Boolean(topic) && typeof topic.rank === 'number';
+    }
+
+    function compareCards(a, b) {
+        if (hasRank(a) !== hasRank(b)) return hasRank(a) ? -1 : 1;
+        if (hasRank(a) && a.rank !== b.rank) return a.rank - b.rank;
+        return b.id - a.id;
+    }
+
+    function sortCards(topics) {
+        return topics.slice().sort(compareCards);
+    }
+
+    /**
+     * @param {Array} topics - Topics to lay out (already searched/filtered)
+     * @returns {Object} - Status -> cards in board order
+     */
+    function groupColumns(topics) {
+        const columns = {};
+        COLUMNS.forEach(status => {
+            columns[status] = sortCards(topics.filter(topic => topic.status === status));
+        });
+        return columns;
+    }
+
+    // MOVES
+    /**
+     * @param {Array} topics - Every live topic, so hidden cards keep their place
+     * @param {number} id - Card being moved
+     * @param {string} status - Column it is dropped in
+     * @param {number} index - Position among `visibleIds` in that column
+     * @param {Array} [visibleIds] - Ids shown in the column, in board order;
+     *   defaults to the whole column
+     * @returns {Array} - [{ id, data }] for store.updateTopics(), empty when nothing changes
+     */
+    function moveCard(topics, id, status, index, visibleIds) {
+        const card = topics.find(topic => model.sameId(topic.id, id));
+        if (!card) throw new Error(`Unknown node ${id}`);
+        if (!COLUMNS.includes(status)) throw new Error(`Unknown column "${status}"`);
+
+        const column = sortCards(topics.filter(topic => topic.status === status && topic !== card));
+        const visible = (visibleIds || column.map(topic => topic.id))
+            .map(visibleId => column.find(topic => model.sameId(topic.id, visibleId)))
+            .filter(Boolean);
+        const clamped = Math.max(0, Math.min(index, visible.length));
+
+        // Place the card right before the visible card it was dropped on, or
+        // right after the last visible one
+        const next = visible[clamped];
+        const position = next ? column.indexOf(next) : (visible.length ? column.indexOf(visible[visible.length - 1]) + 1 : column.length);
+        const before = column[position - 1];
+        const after = column[position];
+
+        let rank = null;
+        if ((!before || hasRank(before)) && (!after || hasRank(after))) {
+            if (!before && !after) rank = RANK_STEP;
+            else if (!before) rank = after.rank - RANK_STEP;
+            else if (!after) rank = before.rank + RANK_STEP;
+            else if (after.rank - before.rank > MIN_GAP) rank = (before.rank + after.rank) / 2;
+        }
+
+        const changes = new Map();
+        if (rank === null) {
+            // Renumber the column; only cards whose rank changes are updated
+            const ordered = column.slice(0, position).concat([card], column.slice(position));
+            ordered.forEach((topic, i) => {
+                if (topic === card || topic.rank !== (i + 1) * RANK_STEP) changes.set(topic.id, { rank: (i + 1) * RANK_STEP });
+            });
+        } else {
+            changes.set(card.id, { rank });
+        }
+        const own = changes.get(card.id) || {};
+        if (card.status !== status) own.status = status;
+        if (own.rank === card.rank) delete own.rank;
+        if (Object.keys(own).length) changes.set(card.id, own);
+        else changes.delete(card.id);
+
+        return Array.from(changes, ([changedId, data]) => ({ id: changedId, data }));
+    }
+
+    return {
+        COLUMNS,
+        compareCards,
+        sortCards,
+        groupColumns,
+        moveCard
+    };
+});
@@ -0,0 +1,167 @@
+// ===========================================
+// MASTERY OS - ICALENDAR EXPORT
+// ===========================================
+//
+// Turns topic schedules into an .ics file (RFC 5545) any calendar app can
+// import. Each topic gives up to two all-day events:
+//   startDate  "Start: Docker"
+//   endDate    "Deadline: Docker", with a reminder (VALARM) unless completed
+//
+// UIDs are derived from the topic id, so importing a newer export updates
+// the events already in the calendar instead of duplicating them.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.calendar = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const PRODUCT_ID = '-//Mastery OS//Topic Schedule//EN';
+    const UID_DOMAIN = 'mastery-os';
+    const DEFAULT_ALARM_DAYS = [1];
+    const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+    const DESCRIPTION_LENGTH = 1000;
+
+    const STATUS_NAMES = { planning: 'Planning', ongoing: 'Learning', completed: 'Mastered' };
+
+    // TEXT
+    function escapeText(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    function utf8Length(char) {
+        const code = char.codePointAt(0);
+        return code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space
+    function foldLine(line) {
+        const parts = [];
+        let current = '';
+        let length = 0;
+        for (const char of line) {
+            const size = utf8Length(char);
+            if (length + size > 75) {
+                parts.push(current);
+                current = ' ';
+                length = 1;
+            }
+            current += char;
+            length += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+
+    // DATES
+    // "2024-06-15" -> "20240615"; anything else is not a usable date
+    function toDateValue(date) {
+        const match = DATE_ONLY.exec(date || '');
+        return match ? match[1] + match[2] + match[3] : null;
+    }
+
+    // All-day events end on the following day (DTEND is exclusive)
+    function nextDateValue(date) {
+        const [year, month, day] = date.split('-').map(Number);
+        const next = new Date(Date.UTC(year, month - 1, day + 1));
+        return next.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    function toTimestamp(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // EVENTS
+    function describe(topic) {
+        const lines = [`Status: ${STATUS_NAMES[topic.status]} (${model.getProgress(topic)}%)`];
+        if (topic.category) lines.push(`Category: ${topic.category}`);
+        if (topic.tags && topic.tags.length) lines.push(`Tags: ${topic.tags.join(', ')}`);
+        model.getLinks(topic).forEach(link => lines.push(link));
+        if (topic.notes) lines.push('', topic.notes.trim());
+        const text = lines.join('\n');
+        return text.length > DESCRIPTION_LENGTH ? text.slice(0, DESCRIPTION_LENGTH - 1) + '…' : text;
+    }
+
+    function eventLines(topic, kind, date, options) {
+        const done = topic.status === 'completed';
+        const summary = kind === 'start' ? `Start: ${topic.title}` : `${done ? 'Done' : 'Deadline'}: ${topic.title}`;
+        const modified = toTimestamp(topic.updatedAt);
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:topic-${topic.id}-${kind}@${UID_DOMAIN}`,
+            `DTSTAMP:${options.stamp}`,
+            `DTSTART;VALUE=DATE:${toDateValue(date)}`,
+            `DTEND;VALUE=DATE:${nextDateValue(date)}`,
+            `SUMMARY:${escapeText(summary)}`,
+            `DESCRIPTION:${escapeText(describe(topic))}`,
+            'TRANSP:TRANSPARENT'
+        ];
+        if (topic.category) lines.push(`CATEGORIES:${escapeText(topic.category)}`);
+        if (modified) {
+            lines.push(`LAST-MODIFIED:${modified}`);
+            // Calendars keep the copy with the highest SEQUENCE; seconds since
+            // the epoch only grow and fit the 32-bit integer most of them use
+            lines.push(`SEQUENCE:${Math.floor(Date.parse(topic.updatedAt) / 1000)}`);
+        }
+        if (kind === 'deadline' && !done) {
+            options.alarmDays.forEach(days => {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${escapeText(`${topic.title} is due ${days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`}`)}`,
+                    `TRIGGER:-P${days}D`,
+                    'END:VALARM'
+                );
+            });
+        }
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * @param {Array} topics - Topics to export; those without dates add no events
+     * @param {Object} [options]
+     * @param {string} [options.name] - Calendar name shown by the calendar app
+     * @param {Array} [options.alarmDays] - Reminders, in days before a deadline
+     * @returns {string} - iCalendar file with CRLF line endings
+     */
+    function toICS(topics, options = {}) {
+        const settings = {
+            stamp: toTimestamp(options.now || new Date().toISOString()),
+            alarmDays: options.alarmDays || DEFAULT_ALARM_DAYS
+        };
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${escapeText(options.name || 'Mastery OS')}`
+        ];
+        topics.forEach(topic => {
+            if (toDateValue(topic.startDate)) lines.push(...eventLines(topic, 'start', topic.startDate, settings));
+            if (toDateValue(topic.endDate)) lines.push(...eventLines(topic, 'deadline', topic.endDate, settings));
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(foldLine).join('\r\n') + '\r\n';
+    }
+
+    // How many events toICS() would write, to skip empty exports
+    function countEvents(topics) {
+        return topics.reduce((count, topic) => count + (toDateValue(topic.startDate) ? 1 : 0) + (toDateValue(topic.endDate) ? 1 : 0), 0);
+    }
+
+    return {
+        toICS,
+        countEvents
+    };
+});
@@ -0,0 +1,115 @@
+// ===========================================
+// MASTERY OS - COMMANDS
+// ===========================================
+//
+// Fuzzy matching for the command palette (Ctrl+K) and the table of
+// single-key shortcuts shown in the help overlay.
+//
+// A command is { id, label, hint?, keywords?, run }; the page builds the
+// list each time the palette opens, so it can include every topic and only
+// offer status changes while a card has the focus. fuzzyMatch() accepts a
+// query whose characters appear in order in the text ("nwnd" finds
+// "New node"); matches at word starts and in runs score higher.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.commands = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_RESULTS = 50;
+
+    // Shown by the help overlay; the page's keydown handler implements them
+    const SHORTCUTS = [
+        { keys: ['Ctrl+K'], description: 'Open the command palette' },
+        { keys: ['J', '↓'], description: 'Focus the next card' },
+        { keys: ['K', '↑'], description: 'Focus the previous card' },
+        { keys: ['E', 'Enter'], description: 'Edit the focused card' },
+        { keys: ['D', 'Delete'], description: 'Move the focused card to the trash' },
+        { keys: ['1', '2', '3'], description: 'Set the focused card to planning, learning or mastered' },
+        { keys: ['N'], description: 'New node' },
+        { keys: ['/'], description: 'Search' },
+        { keys: ['Ctrl+Z', 'Ctrl+Shift+Z'], description: 'Undo, redo' },
+        { keys: ['?'], description: 'Show these shortcuts' },
+        { keys: ['Esc'], description: 'Close the open dialog' }
+    ];
+
+    // MATCHING
+    function isWordStart(text, index) {
+        return index === 0 || /[\s_\-/:.]/.test(text[index - 1]);
+    }
+
+    /**
+     * @param {string} query - What was typed; whitespace is ignored
+     * @param {string} text - Text to match against
+     * @returns {Object|null} - { score, indices } with the matched character
+     *   positions for highlighting, or null when `text` does not match
+     */
+    function fuzzyMatch(query, text) {
+        const needle = String(query || '').replace(/\s+/g, '').toLowerCase();
+        const haystack = String(text || '');
+        const lower = haystack.toLowerCase();
+        if (!needle) return { score: 0, indices: [] };
+
+        const indices = [];
+        let score = 0;
+        let from = 0;
+        for (const char of needle) {
+            let index = lower.indexOf(char, from);
+            if (index === -1) return null;
+            const previous = indices[indices.length - 1];
+            // Unless it continues a run, prefer a later word start holding this character
+            if (index !== previous + 1 && !isWordStart(haystack, index)) {
+                for (let i = lower.indexOf(char, index + 1); i !== -1; i = lower.indexOf(char, i + 1)) {
+                    if (isWordStart(haystack, i)) {
+                        index = i;
+                        break;
+                    }
+                }
+            }
+            score += 1;
+            if (isWordStart(haystack, index)) score += 8;
+            if (previous !== undefined && index === previous + 1) score += 5;
+            score -= Math.min(index - from, 10) * 0.5;
+            indices.push(index);
+            from = index + 1;
+        }
+        // Shorter texts win among equal matches
+        score -= haystack.length * 0.01;
+        return { score, indices };
+    }
+
+    /**
+     * @param {Array} commands - [{ id, label, hint?, keywords? }]
+     * @param {string} query
+     * @returns {Array} - [{ command, indices }] best first, at most MAX_RESULTS;
+     *   every command, in order, for an empty query. `indices` point into the
+     *   label and are empty when only the keywords matched.
+     */
+    function rankCommands(commands, query) {
+        if (!String(query || '').trim()) return commands.slice(0, MAX_RESULTS).map(command => ({ command, indices: [] }));
+        return commands
+            .map((command, order) => {
+                const label = fuzzyMatch(query, command.label);
+                const keywords = command.keywords ? fuzzyMatch(query, command.keywords) : null;
+                if (!label && !keywords) return null;
+                const best = label && (!keywords || label.score >= keywords.score - 2) ? label : { score: keywords.score - 2, indices: [] };
+                return { command, indices: best.indices, score: best.score, order };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.order - b.order)
+            .slice(0, MAX_RESULTS)
+            .map(({ command, indices }) => ({ command, indices }));
+    }
+
+    return {
+        SHORTCUTS,
+        MAX_RESULTS,
+        fuzzyMatch,
+        rankCommands
+    };
+});
@@ -0,0 +1,188 @@
+// ===========================================
+// MASTERY OS - DEADLINES AND REMINDERS
+// ===========================================
+//
+// Compares each unfinished topic's endDate with today:
+//   overdue    the target date has passed
+//   due-soon   due today or within DUE_SOON_DAYS
+//   on-track   further away
+// Completed topics and topics without an end date have no deadline state.
+//
+// Dates are "YYYY-MM-DD" strings meaning a calendar day where the user is.
+// new Date("2024-06-15") reads them as UTC midnight, which is the previous
+// day west of Greenwich, so parseLocalDate() is used everywhere instead.
+//
+// Reminders are opt-in and per workspace (REMINDER_KEY); the ids of topics
+// already reminded about are kept in SENT_KEY so each deadline notifies once.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.deadlines = factory(root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (workspaces) {
+    'use strict';
+
+    const DUE_SOON_DAYS = 7;
+    const REMINDER_KEY = 'mastery_os_reminders';
+    const SENT_KEY = 'mastery_os_reminders_sent';
+    const DEFAULT_REMINDER = { enabled: false, days: 3 };
+    const DAY = 24 * 60 * 60 * 1000;
+    const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    // DATES
+    /**
+     * @param {string} value - "YYYY-MM-DD" (local day) or a full ISO timestamp
+     * @returns {Date|null} - Local midnight for date-only strings, null when unreadable
+     */
+    function parseLocalDate(value) {
+        if (!value) return null;
+        const match = DATE_ONLY.exec(value);
+        const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    function startOfDay(now = new Date()) {
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    // "2024-06-15" for the local calendar day of `date`
+    function toDateString(date) {
+        const pad = number => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Whole calendar days from today to `date`; negative once it has passed
+     * @returns {number|null} - null when the date is missing or unreadable
+     */
+    function daysUntil(date, now = new Date()) {
+        const target = parseLocalDate(date);
+        if (!target) return null;
+        // Rounded, as days around a DST switch are 23 or 25 hours long
+        return Math.round((startOfDay(target) - startOfDay(now)) / DAY);
+    }
+
+    function formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }) {
+        const parsed = parseLocalDate(date);
+        return parsed ? parsed.toLocaleDateString('en-US', options) : 'Not set';
+    }
+
+    // STATES
+    /**
+     * @param {Object} topic
+     * @param {Object} [options] - { now, soonDays }
+     * @returns {string|null} - 'overdue' | 'due-soon' | 'on-track', null when
+     *   completed or without an end date
+     */
+    function getDeadlineState(topic, options = {}) {
+        if (topic.status === 'completed') return null;
+        const days = daysUntil(topic.endDate, options.now);
+        if (days === null) return null;
+        if (days < 0) return 'overdue';
+        return days <= (options.soonDays !== undefined ? options.soonDays : DUE_SOON_DAYS) ? 'due-soon' : 'on-track';
+    }
+
+    function filterByDeadline(topics, state, options) {
+        return topics.filter(topic => getDeadlineState(topic, options) === state);
+    }
+
+    function countDeadlines(topics, options) {
+        const states = topics.map(topic => getDeadlineState(topic, options));
+        return {
+            overdue: states.filter(state => state === 'overdue').length,
+            dueSoon: states.filter(state => state === 'due-soon').length
+        };
+    }
+
+    // "3 days overdue", "Due today", "Due in 5 days"
+    function describeDeadline(topic, now = new Date()) {
+        const days = daysUntil(topic.endDate, now);
+        if (days === null) return '';
+        const plural = count => `${count} day${count === 1 ? '' : 's'}`;
+        if (days < 0) return `${plural(-days)} overdue`;
+        if (days === 0) return 'Due today';
+        if (days === 1) return 'Due tomorrow';
+        return `Due in ${plural(days)}`;
+    }
+
+    // REMINDERS
+    function readJson(storage, key, fallback) {
+        try {
+            const stored = storage && storage.getItem(key);
+            return stored ? JSON.parse(stored) : fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    function getReminderSettings(storage = defaultStorage()) {
+        const stored = readJson(storage, REMINDER_KEY, {});
+        const days = parseInt(stored.days, 10);
+        return {
+            enabled: Boolean(stored.enabled),
+            days: isNaN(days) || days < 0 ? DEFAULT_REMINDER.days : days
+        };
+    }
+
+    function setReminderSettings(settings, storage = defaultStorage()) {
+        const days = parseInt(settings.days, 10);
+        if (isNaN(days) || days < 0) throw new Error(`Invalid reminder period: ${settings.days}`);
+        storage.setItem(REMINDER_KEY, JSON.stringify({ enabled: Boolean(settings.enabled), days }));
+    }
+
+    /**
+     * Call `notify` for every unfinished topic due within the reminder period
+     * (or overdue) that has not been reminded about for its current end date.
+     * Does nothing while reminders are off.
+     * @param {Array} topics - Live topics
+     * @param {Object} options - { notify(topic, daysLeft), storage, now }
+     * @returns {Array} - Topics notified about
+     */
+    function checkReminders(topics, options) {
+        const storage = options.storage || defaultStorage();
+        const settings = getReminderSettings(storage);
+        if (!settings.enabled) return [];
+
+        const sent = readJson(storage, SENT_KEY, {});
+        const due = topics.filter(topic => {
+            if (topic.status === 'completed') return false;
+            const days = daysUntil(topic.endDate, options.now);
+            return days !== null && days <= settings.days && sent[topic.id] !== topic.endDate;
+        });
+        due.forEach(topic => {
+            options.notify(topic, daysUntil(topic.endDate, options.now));
+            sent[topic.id] = topic.endDate;
+        });
+
+        // Forget topics that are gone, so the list does not grow forever
+        const ids = new Set(topics.map(topic => String(topic.id)));
+        Object.keys(sent).forEach(id => { if (!ids.has(id)) delete sent[id]; });
+        storage.setItem(SENT_KEY, JSON.stringify(sent));
+        return due;
+    }
+
+    return {
+        DUE_SOON_DAYS,
+        REMINDER_KEY,
+        parseLocalDate,
+        toDateString,
+        daysUntil,
+        formatDate,
+        getDeadlineState,
+        filterByDeadline,
+        countDeadlines,
+        describeDeadline,
+        getReminderSettings,
+        setReminderSettings,
+        checkReminders
+    };
+});
@@ -0,0 +1,184 @@
+// ===========================================
+// MASTERY OS - ENCRYPTED BACKUPS
+// ===========================================
+//
+// Passphrase-protected backup files, with the Web Crypto API only. The file
+// stays JSON: a header saying how it was made, and the backup itself as
+// AES-GCM ciphertext.
+//
+//   {
+//     "format": "mastery_os_encrypted", "version": 1,
+//     "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+//     "cipher": { "name": "AES-GCM", "iv": "<base64>" },
+//     "check": "<base64>",
+//     "data": "<base64>"
+//   }
+//
+// PBKDF2 turns the passphrase into 512 bits: the first half is the AES key,
+// the second half is stored as `check`. A different `check` means a wrong
+// passphrase; the right one with ciphertext that fails to authenticate means
+// the file was changed or damaged. The header is authenticated along with
+// the data, so edits to it are caught as well; a changed salt or iteration
+// count alters the derived bits and so reads as a wrong passphrase.
+//
+// Errors carry a `code` (ERRORS) for the page to explain.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.encryption = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const FORMAT = 'mastery_os_encrypted';
+    const VERSION = 1;
+    const ITERATIONS = 600000;
+    // Files asking for more are refused rather than freezing the page
+    const MAX_ITERATIONS = 10000000;
+    const MIN_PASSPHRASE_LENGTH = 8;
+    const ERRORS = {
+        UNSUPPORTED: 'UNSUPPORTED',
+        WRONG_PASSPHRASE: 'WRONG_PASSPHRASE',
+        TAMPERED: 'TAMPERED',
+        CORRUPT: 'CORRUPT'
+    };
+
+    function subtle() {
+        return typeof crypto !== 'undefined' && crypto.subtle ? crypto.subtle : null;
+    }
+
+    // Web Crypto needs a secure context: https, localhost or a file
+    function isSupported() {
+        return Boolean(subtle());
+    }
+
+    function fail(code, message) {
+        return Object.assign(new Error(message), { code });
+    }
+
+    // BASE64
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        if (typeof text !== 'string') throw fail(ERRORS.CORRUPT, 'The encrypted file is incomplete');
+        try {
+            return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+        } catch (error) {
+            throw fail(ERRORS.CORRUPT, 'The encrypted file is damaged (invalid base64)');
+        }
+    }
+
+    // KEYS
+    async function deriveKeys(passphrase, salt, iterations) {
+        const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await subtle().deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+        const key = await subtle().importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return { key, check: bits.slice(32) };
+    }
+
+    // Everything but the ciphertext, in a fixed order, as additional data
+    function headerBytes(file) {
+        return new TextEncoder().encode(JSON.stringify([file.format, file.version, file.kdf, file.cipher, file.check]));
+    }
+
+    function sameBytes(a, b) {
+        if (a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+        return diff === 0;
+    }
+
+    // FILES
+    function isEncrypted(data) {
+        return Boolean(data && typeof data === 'object' && data.format === FORMAT);
+    }
+
+    /**
+     * @param {*} backup - Anything JSON, e.g. the envelope from migrations.wrap()
+     * @param {string} passphrase
+     * @param {Object} [options] - { iterations }
+     * @returns {Promise} - The encrypted file as an object, ready for JSON.stringify
+     */
+    async function encryptBackup(backup, passphrase, options = {}) {
+        if (!isSupported()) throw fail(ERRORS.UNSUPPORTED, 'Encryption needs a browser with the Web Crypto API, on https, localhost or a local file');
+        if (String(passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const iterations = options.iterations || ITERATIONS;
+        const { key, check } = await deriveKeys(passphrase, salt, iterations);
+
+        const file = {
+            format: FORMAT,
+            version: VERSION,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+            check: toBase64(check)
+        };
+        const plaintext = new TextEncoder().encode(JSON.stringify(backup));
+        const ciphertext = await subtle().encrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(file) }, key, plaintext);
+        return { ...file, data: toBase64(new Uint8Array(ciphertext)) };
+    }
+
+    /**
+     * @param {Object} file - Parsed encrypted file
+     * @param {string} passphrase
+     * @returns {Promise} - The backup as it was before encryption
+     */
+    async function decryptBackup(file, passphrase) {
+        if (!isEncrypted(file)) throw fail(ERRORS.CORRUPT, 'Not an encrypted Mastery OS backup');
+        if (file.version !== VERSION) {
+            throw fail(ERRORS.UNSUPPORTED, `This backup was encrypted by a newer version (format ${file.version}); update the app to open it`);
+        }
+        if (!isSupported()) throw fail(ERRORS.UNSUPPORTED, 'Decryption needs a browser with the Web Crypto API, on https, localhost or a local file');
+
+        const kdf = file.kdf || {};
+        const cipher = file.cipher || {};
+        const iterations = Number(kdf.iterations);
+        if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM' ||
+            !Number.isInteger(iterations) || iterations < 1 || iterations > MAX_ITERATIONS) {
+            throw fail(ERRORS.CORRUPT, 'The encrypted file has an invalid header');
+        }
+        const salt = fromBase64(kdf.salt);
+        const iv = fromBase64(cipher.iv);
+        const expected = fromBase64(file.check);
+        const ciphertext = fromBase64(file.data);
+
+        const { key, check } = await deriveKeys(String(passphrase || ''), salt, iterations);
+        if (!sameBytes(check, expected)) throw fail(ERRORS.WRONG_PASSPHRASE, 'Wrong passphrase');
+
+        let plaintext;
+        try {
+            plaintext = await subtle().decrypt({ name: 'AES-GCM', iv, additionalData: headerBytes(file) }, key, ciphertext);
+        } catch (error) {
+            throw fail(ERRORS.TAMPERED, 'The passphrase is right, but the file was modified or damaged after it was encrypted');
+        }
+        try {
+            return JSON.parse(new TextDecoder().decode(plaintext));
+        } catch (error) {
+            throw fail(ERRORS.CORRUPT, 'The decrypted backup is not valid JSON');
+        }
+    }
+
+    return {
+        FORMAT,
+        VERSION,
+        ITERATIONS,
+        MIN_PASSPHRASE_LENGTH,
+        ERRORS,
+        isSupported,
+        isEncrypted,
+        encryptBackup,
+        decryptBackup
+    };
+});
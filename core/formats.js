@@ -0,0 +1,293 @@
+// ===========================================
+// MASTERY OS - CSV AND MARKDOWN
+// ===========================================
+//
+// Spreadsheet and wiki formats next to the JSON backup. CSV goes both ways:
+// parseCSV() reads a file, guessMapping() proposes which column feeds which
+// topic field and rowsToRecords() builds records for the import. Markdown is
+// export only.
+//
+// List fields are flattened so they survive a spreadsheet:
+//   milestones     "[x] Read the docs; [ ] Build a cluster", a ";" or "\" in a
+//                  title written as "\;" or "\\". Title and done only: due
+//                  dates and weights are not exported
+//   prerequisites  "1712000000000; 1712000000001"
+//   links          one URL per line inside the cell
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.formats = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const CSV_FIELDS = [
+        'id', 'title', 'category', 'status', 'priority', 'startDate', 'endDate', 'progress',
+        'tags', 'links', 'notes', 'milestones', 'prerequisites', 'createdAt', 'updatedAt'
+    ];
+
+    // Header spellings other tools (and older variants) use for our fields
+    const FIELD_ALIASES = {
+        title: ['name', 'topic', 'subject'],
+        category: ['area', 'group'],
+        priority: ['prio', 'importance'],
+        startdate: ['start', 'started', 'begin'],
+        enddate: ['end', 'target', 'targetdate', 'due', 'duedate', 'deadline'],
+        tags: ['tag', 'stack', 'tools', 'destinations', 'labels'],
+        links: ['resources', 'urls', 'url', 'link'],
+        notes: ['description', 'comment', 'comments'],
+        prerequisites: ['requires', 'dependencies', 'dependson']
+    };
+
+    const MILESTONE_SEPARATOR = '; ';
+
+    // CSV WRITING
+    // Cells starting with these are run as formulas by spreadsheet apps
+    const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    function escapeCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function flattenField(topic, field) {
+        if (field === 'milestones') {
+            return (topic.milestones || [])
+                .map(milestone => `[${milestone.done ? 'x' : ' '}] ${milestone.title.replace(/[\\;]/g, '\\$&')}`)
+                .join(MILESTONE_SEPARATOR);
+        }
+        if (field === 'prerequisites') return (topic.prerequisites || []).join(MILESTONE_SEPARATOR);
+        if (field === 'tags') return (topic.tags || []).join(', ');
+        if (field === 'progress') return model.getProgress(topic);
+        return topic[field];
+    }
+
+    /**
+     * @param {Array} topics - Topics to export
+     * @param {Array} [fields] - Columns, defaults to CSV_FIELDS
+     * @returns {string} - CSV with a header row and CRLF line endings
+     */
+    function toCSV(topics, fields = CSV_FIELDS) {
+        const lines = [fields.map(escapeCell).join(',')];
+        topics.forEach(topic => {
+            lines.push(fields.map(field => escapeCell(flattenField(topic, field))).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    // CSV READING
+    // Excel writes ';' in locales where ',' is the decimal separator
+    function detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+        return counts.sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    /**
+     * RFC 4180 parser: quoted cells may hold delimiters, quotes ("") and newlines
+     * @param {string} text - File contents
+     * @returns {Array} - Rows of cell strings; blank lines are skipped
+     */
+    function parseCSV(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (quoted) throw new Error('CSV ends inside a quoted cell');
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(cells => cells.some(value => value.trim() !== ''));
+    }
+
+    function normalizeHeader(header) {
+        return String(header).toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    /**
+     * Propose a field for every column from its header
+     * @param {Array} headers - First CSV row
+     * @returns {Array} - Field name per column, '' to ignore the column
+     */
+    function guessMapping(headers) {
+        const used = new Set();
+        return headers.map(header => {
+            const key = normalizeHeader(header);
+            const field = CSV_FIELDS.find(candidate => {
+                const name = candidate.toLowerCase();
+                return name === key || (FIELD_ALIASES[name] || []).includes(key);
+            });
+            if (!field || used.has(field)) return '';
+            used.add(field);
+            return field;
+        });
+    }
+
+    function unescapeCell(value) {
+        return /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value;
+    }
+
+    // Splits on ";" except after a backslash; other backslashes are kept as
+    // they are, so paths typed in a spreadsheet come through
+    function splitMilestones(text) {
+        const parts = [''];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && (text[i + 1] === ';' || text[i + 1] === '\\')) parts[parts.length - 1] += text[++i];
+            else if (text[i] === ';') parts.push('');
+            else parts[parts.length - 1] += text[i];
+        }
+        return parts;
+    }
+
+    function parseMilestones(text) {
+        return splitMilestones(text)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map((part, index) => {
+                const match = part.match(/^\[([ xX]?)\]\s*(.*)$/);
+                return match
+                    ? { id: index + 1, title: match[2], done: match[1].toLowerCase() === 'x' }
+                    : { id: index + 1, title: part, done: false };
+            });
+    }
+
+    // Labels the UIs show, read back as statuses
+    const STATUS_WORDS = { learning: 'ongoing', mastered: 'completed', done: 'completed', todo: 'planning' };
+
+    function parseField(field, value) {
+        if (field === 'milestones') return parseMilestones(value);
+        if (field === 'prerequisites') return value.split(/[;,\s]+/).filter(Boolean).map(Number);
+        if (field === 'tags') return model.normalizeTags(value.split(/[;,]/));
+        if (field === 'status') {
+            const status = value.trim().toLowerCase().replace(/\s+/g, '-');
+            return STATUS_WORDS[status] || status;
+        }
+        if (field === 'priority') {
+            const priority = value.trim().toLowerCase();
+            return priority === 'medium' ? 'med' : priority;
+        }
+        return value;
+    }
+
+    /**
+     * Build records from data rows; unmapped and empty cells are left out
+     * so the topic defaults apply
+     * @param {Array} rows - Rows without the header
+     * @param {Array} mapping - Field per column (see guessMapping)
+     * @returns {Array} - Plain records, ready for migrations.migrateRecords()
+     */
+    function rowsToRecords(rows, mapping) {
+        return rows.map(cells => {
+            const record = {};
+            mapping.forEach((field, column) => {
+                const value = unescapeCell((cells[column] || '').trim());
+                if (!field || value === '') return;
+                record[field] = parseField(field, value);
+            });
+            return record;
+        });
+    }
+
+    // MARKDOWN
+    const STATUS_NAMES = { planning: 'Planning', ongoing: 'Learning', completed: 'Mastered' };
+    const PRIORITY_NAMES = { low: 'Low', med: 'Medium', high: 'High' };
+
+    // Keep user text from turning into headings or list items
+    function inline(text) {
+        return String(text).replace(/\s*\n\s*/g, ' ').replace(/^([#>*+-]|\d+\.)/, '\\$1');
+    }
+
+    /**
+     * One section per topic with status, dates, milestones, links, notes and journal
+     * @param {Array} topics - Topics to export
+     * @param {Object} [options] - { title } for the document heading
+     * @returns {string} - Markdown document
+     */
+    function toMarkdown(topics, options = {}) {
+        const lines = [`# ${options.title || 'Mastery OS'}`, ''];
+        lines.push(`_Exported ${new Date().toISOString().slice(0, 10)} · ${topics.length} topic${topics.length === 1 ? '' : 's'}_`, '');
+
+        topics.forEach(topic => {
+            lines.push(`## ${inline(topic.title)}`, '');
+            lines.push(`- **Status:** ${STATUS_NAMES[topic.status]} (${model.getProgress(topic)}%)`);
+            lines.push(`- **Priority:** ${PRIORITY_NAMES[topic.priority]}`);
+            if (topic.startDate || topic.endDate) {
+                lines.push(`- **Dates:** ${topic.startDate || '?'} → ${topic.endDate || '?'}`);
+            }
+            if (topic.category) lines.push(`- **Category:** ${inline(topic.category)}`);
+            if (topic.tags && topic.tags.length) lines.push(`- **Tags:** ${inline(topic.tags.join(', '))}`);
+            lines.push('');
+
+            if (topic.milestones && topic.milestones.length) {
+                lines.push('### Milestones', '');
+                topic.milestones.forEach(milestone => {
+                    lines.push(`- [${milestone.done ? 'x' : ' '}] ${inline(milestone.title)}${milestone.dueDate ? ` (due ${milestone.dueDate})` : ''}`);
+                });
+                lines.push('');
+            }
+
+            const links = model.getLinks(topic);
+            if (links.length) {
+                lines.push('### Links', '');
+                links.forEach(link => lines.push(`- <${link}>`));
+                lines.push('');
+            }
+
+            if (topic.notes) {
+                lines.push('### Notes', '', topic.notes.trim(), '');
+            }
+
+            if (topic.journal && topic.journal.length) {
+                lines.push('### Journal', '');
+                topic.journal.forEach(entry => {
+                    lines.push(`#### ${entry.at.slice(0, 16).replace('T', ' ')} UTC`, '', entry.text.trim(), '');
+                });
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    return {
+        CSV_FIELDS,
+        toCSV,
+        parseCSV,
+        guessMapping,
+        rowsToRecords,
+        toMarkdown
+    };
+});
@@ -0,0 +1,192 @@
+// ===========================================
+// MASTERY OS - PREREQUISITE GRAPH
+// ===========================================
+//
+// Topics list the ids of the topics they depend on in `prerequisites`
+// ("Kubernetes requires Docker" -> kubernetes.prerequisites = [docker.id]).
+// This module answers questions about that graph: cycles, which topics are
+// blocked or ready to start, and a layered layout for drawing the DAG.
+//
+// Ids that point at topics which no longer exist are ignored everywhere.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.graph = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    function indexTopics(topics) {
+        return new Map(topics.map(topic => [topic.id, topic]));
+    }
+
+    function prerequisitesOf(topic, index) {
+        return (topic.prerequisites || [])
+            .map(id => index.get(id))
+            .filter(Boolean);
+    }
+
+    // CYCLES
+    /**
+     * Look for a prerequisite chain that leads back to where it started
+     * @param {Array} topics - Topics to check
+     * @param {number} [startId] - Only report cycles through this topic
+     * @returns {Array|null} - Ids along the cycle, first id repeated at the end
+     */
+    function findCycle(topics, startId) {
+        const index = indexTopics(topics);
+        const starts = startId !== undefined ? [Number(startId)] : topics.map(topic => topic.id);
+
+        for (const start of starts) {
+            const visited = new Set();
+            const path = [start];
+
+            const walk = id => {
+                const topic = index.get(id);
+                if (!topic) return false;
+                for (const next of prerequisitesOf(topic, index)) {
+                    if (next.id === start) {
+                        path.push(start);
+                        return true;
+                    }
+                    if (visited.has(next.id)) continue;
+                    visited.add(next.id);
+                    path.push(next.id);
+                    if (walk(next.id)) return true;
+                    path.pop();
+                }
+                return false;
+            };
+
+            if (walk(start)) return path;
+        }
+        return null;
+    }
+
+    // READINESS
+    function getUnmetPrerequisites(topic, index) {
+        return prerequisitesOf(topic, index).filter(prerequisite => prerequisite.status !== 'completed');
+    }
+
+    /**
+     * @param {Object} topic - Topic to classify
+     * @param {Map} index - Result of indexTopics()
+     * @returns {string|null} - 'blocked' while a prerequisite is unfinished,
+     *   'ready' for planned topics with nothing in the way, otherwise null
+     */
+    function getReadiness(topic, index) {
+        if (topic.status === 'completed') return null;
+        if (getUnmetPrerequisites(topic, index).length) return 'blocked';
+        return topic.status === 'planning' ? 'ready' : null;
+    }
+
+    function countReadiness(topics) {
+        const index = indexTopics(topics);
+        const counts = { blocked: 0, ready: 0 };
+        topics.forEach(topic => {
+            const readiness = getReadiness(topic, index);
+            if (readiness) counts[readiness]++;
+        });
+        return counts;
+    }
+
+    // LAYOUT
+    /**
+     * Layered layout: a topic sits one column right of its deepest
+     * prerequisite, and each column is ordered by the average row of the
+     * prerequisites feeding into it to keep edges from crossing.
+     * @param {Array} topics - Topics to draw
+     * @param {Object} [options] - nodeWidth, nodeHeight, columnGap, rowGap, padding
+     * @returns {Object} - { nodes: [{ id, topic, column, row, x, y }],
+     *   edges: [{ from, to, x1, y1, x2, y2 }], width, height }
+     */
+    function layoutGraph(topics, options = {}) {
+        const {
+            nodeWidth = 180,
+            nodeHeight = 56,
+            columnGap = 80,
+            rowGap = 24,
+            padding = 24
+        } = options;
+        const index = indexTopics(topics);
+        const depth = new Map();
+        const visiting = new Set();
+
+        const depthOf = topic => {
+            if (depth.has(topic.id)) return depth.get(topic.id);
+            // Imported data can still hold a cycle; cut it here
+            if (visiting.has(topic.id)) return -1;
+            visiting.add(topic.id);
+            const parents = prerequisitesOf(topic, index);
+            const value = parents.length ? Math.max(...parents.map(parent => depthOf(parent) + 1)) : 0;
+            visiting.delete(topic.id);
+            depth.set(topic.id, value);
+            return value;
+        };
+        topics.forEach(depthOf);
+
+        const columns = [];
+        topics.forEach(topic => {
+            const column = depth.get(topic.id);
+            (columns[column] = columns[column] || []).push(topic);
+        });
+
+        const rows = new Map();
+        const barycentre = topic => {
+            const parents = prerequisitesOf(topic, index).filter(parent => rows.has(parent.id));
+            if (!parents.length) return Infinity;
+            return parents.reduce((sum, parent) => sum + rows.get(parent.id), 0) / parents.length;
+        };
+        columns.forEach((column, c) => {
+            if (c > 0) column.sort((a, b) => barycentre(a) - barycentre(b));
+            column.forEach((topic, row) => rows.set(topic.id, row));
+        });
+
+        const nodes = [];
+        columns.forEach((column, c) => column.forEach((topic, row) => nodes.push({
+            id: topic.id,
+            topic,
+            column: c,
+            row,
+            x: padding + c * (nodeWidth + columnGap),
+            y: padding + row * (nodeHeight + rowGap)
+        })));
+
+        const nodeById = new Map(nodes.map(node => [node.id, node]));
+        const edges = [];
+        nodes.forEach(node => prerequisitesOf(node.topic, index).forEach(parent => {
+            const from = nodeById.get(parent.id);
+            edges.push({
+                from: parent.id,
+                to: node.id,
+                x1: from.x + nodeWidth,
+                y1: from.y + nodeHeight / 2,
+                x2: node.x,
+                y2: node.y + nodeHeight / 2
+            });
+        }));
+
+        const tallest = columns.reduce((max, column) => Math.max(max, column.length), 0);
+        return {
+            nodes,
+            edges,
+            nodeWidth,
+            nodeHeight,
+            width: columns.length ? padding * 2 + columns.length * (nodeWidth + columnGap) - columnGap : 0,
+            height: tallest ? padding * 2 + tallest * (nodeHeight + rowGap) - rowGap : 0
+        };
+    }
+
+    return {
+        indexTopics,
+        prerequisitesOf,
+        findCycle,
+        getUnmetPrerequisites,
+        getReadiness,
+        countReadiness,
+        layoutGraph
+    };
+});
@@ -0,0 +1,150 @@
+// ===========================================
+// MASTERY OS - ACTIVITY HISTORY
+// ===========================================
+//
+// The store records every create/update/delete/restore/purge/import as an
+// operation.
+// Operations keep full before/after snapshots in memory for undo/redo; the
+// activity log that gets persisted only keeps a readable summary:
+//
+// {
+//   id: 1718000000000,
+//   at: "2024-06-10T09:00:00.000Z",
+//   type: "update",                 // create | update | delete | restore | purge | import | undo | redo
+//   of: null,                       // for undo/redo: the type that was reverted/reapplied
+//   topicId: 1234567890,            // null for imports
+//   title: "Docker",
+//   changes: [{ field: "status", from: "planning", to: "ongoing" }]
+// }
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.history = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const ACTIVITY_LIMIT = 500;
+    const UNDO_LIMIT = 100;
+    const VALUE_LENGTH = 120;
+
+    // Identity and bookkeeping fields, not worth showing as changes;
+    // `transitions` only repeats the status/progress change next to it
+    const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'transitions'];
+
+    // DIFFS
+    function truncate(text) {
+        return text.length > VALUE_LENGTH ? text.slice(0, VALUE_LENGTH - 1) + '…' : text;
+    }
+
+    // Milestones read as "[x] Docs, [ ] Labs"; other object lists as a count
+    function formatList(list) {
+        if (list.every(item => item === null || typeof item !== 'object')) return list.join(', ');
+        if (list.every(item => item.title !== undefined)) {
+            return list.map(item => (item.done === undefined ? item.title : `[${item.done ? 'x' : ' '}] ${item.title}`)).join(', ');
+        }
+        return `${list.length} item${list.length === 1 ? '' : 's'}`;
+    }
+
+    function formatValue(value) {
+        if (value === undefined || value === null || value === '') return '';
+        if (Array.isArray(value)) return truncate(formatList(value));
+        return truncate(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+
+    /**
+     * Fields that differ between two versions of a topic
+     * @param {Object|null} before - Previous version, null when created
+     * @param {Object|null} after - New version, null when deleted
+     * @returns {Array} - [{ field, from, to }] with display-ready values
+     */
+    function diffTopics(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const changes = [];
+        fields.forEach(field => {
+            if (IGNORED_FIELDS.includes(field)) return;
+            const from = before ? before[field] : undefined;
+            const to = after ? after[field] : undefined;
+            if (JSON.stringify(from) === JSON.stringify(to)) return;
+            const change = { field, from: formatValue(from), to: formatValue(to) };
+            // Empty fields of a created or deleted topic say nothing
+            if (change.from === change.to && (!before || !after)) return;
+            changes.push(change);
+        });
+        return changes;
+    }
+
+    // OPERATIONS
+    /**
+     * Summary of an operation for the activity log
+     * @param {Object} operation - { type, before, after } as recorded by the store
+     * @param {Object} [options] - { type: 'undo' | 'redo' } to log reverting/reapplying it
+     * @returns {Object} - Activity entry (see top of file)
+     */
+    function createEntry(operation, options = {}) {
+        const reverting = options.type === 'undo';
+        const before = reverting ? operation.after : operation.before;
+        const after = reverting ? operation.before : operation.after;
+        const entry = {
+            id: Date.now(),
+            at: new Date().toISOString(),
+            type: options.type || operation.type,
+            of: options.type ? operation.type : null,
+            topicId: null,
+            title: '',
+            changes: []
+        };
+
+        if (operation.type === 'import') {
+            entry.title = `${(before || []).length} → ${(after || []).length} topics`;
+            return entry;
+        }
+
+        const topic = operation.after || operation.before;
+        entry.topicId = topic.id;
+        entry.title = topic.title;
+        entry.changes = diffTopics(before, after);
+        return entry;
+    }
+
+    function appendEntry(activity, entry) {
+        // Keep ids unique when several operations land in the same millisecond
+        const last = activity[activity.length - 1];
+        if (last && entry.id <= last.id) entry = { ...entry, id: last.id + 1 };
+        const next = [...activity, entry];
+        return next.length > ACTIVITY_LIMIT ? next.slice(next.length - ACTIVITY_LIMIT) : next;
+    }
+
+    function entriesForTopic(activity, topicId) {
+        return activity.filter(entry => model.sameId(entry.topicId, topicId));
+    }
+
+    // "Updated", "Undid delete", ...
+    function describeEntry(entry) {
+        const verbs = {
+            create: 'Created',
+            update: 'Updated',
+            delete: 'Moved to trash',
+            restore: 'Restored',
+            purge: 'Purged',
+            import: 'Imported'
+        };
+        if (entry.type === 'undo') return `Undid ${entry.of}`;
+        if (entry.type === 'redo') return `Redid ${entry.of}`;
+        return verbs[entry.type] || entry.type;
+    }
+
+    return {
+        ACTIVITY_LIMIT,
+        UNDO_LIMIT,
+        formatValue,
+        diffTopics,
+        createEntry,
+        appendEntry,
+        entriesForTopic,
+        describeEntry
+    };
+});
@@ -0,0 +1,82 @@
+// ===========================================
+// MASTERY OS - LEARNING JOURNAL
+// ===========================================
+//
+// Dated entries on a topic ("what I learned today"), kept apart from the
+// notes: notes are one document that gets rewritten, the journal only
+// grows. Entry text is Markdown, like the notes.
+//
+// The helpers return a patch for store.updateTopic(), as in sessions.js:
+//
+//   store.updateTopic(topic.id, journal.addEntry(topic, 'Finished chapter 4'));
+//
+// Days are local days.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.journal = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const MAX_LENGTH = 10000;
+
+    // ENTRIES
+    /**
+     * @param {Object} topic - Topic to write about
+     * @param {string} text - Entry, Markdown
+     * @param {number} [now] - Timestamp, defaults to the current time
+     * @returns {Object} - Patch for store.updateTopic()
+     */
+    function addEntry(topic, text, now = Date.now()) {
+        const clean = String(text || '').trim();
+        if (!clean) throw new Error('A journal entry needs some text');
+        if (clean.length > MAX_LENGTH) throw new Error(`Journal entries are at most ${MAX_LENGTH} characters`);
+
+        const entry = { id: model.generateId(topic.journal || []), at: new Date(now).toISOString(), text: clean };
+        return { journal: [...(topic.journal || []), entry] };
+    }
+
+    function removeEntry(topic, entryId) {
+        return { journal: (topic.journal || []).filter(entry => !model.sameId(entry.id, entryId)) };
+    }
+
+    // DISPLAY
+    function dayKey(at) {
+        const date = new Date(at);
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Entries for a log view, newest day first and newest first within a day
+     * @param {Object} topic
+     * @returns {Array} - [{ day: "2024-01-16", entries }]
+     */
+    function groupByDay(topic) {
+        const days = [];
+        (topic.journal || []).slice().reverse().forEach(entry => {
+            const day = dayKey(entry.at);
+            const last = days[days.length - 1];
+            if (last && last.day === day) last.entries.push(entry);
+            else days.push({ day, entries: [entry] });
+        });
+        return days;
+    }
+
+    function lastEntry(topic) {
+        const entries = topic.journal || [];
+        return entries.length ? entries[entries.length - 1] : null;
+    }
+
+    return {
+        MAX_LENGTH,
+        addEntry,
+        removeEntry,
+        groupByDay,
+        lastEntry
+    };
+});
@@ -0,0 +1,305 @@
+// ===========================================
+// MASTERY OS - MARKDOWN
+// ===========================================
+//
+// Renders topic notes and journal entries. Only a small subset is
+// understood:
+//
+//   # Heading (1-6)        **bold** __bold__   *italic* _italic_   ~~strike~~
+//   - item / 1. item       `code`              [label](https://...)
+//   > quote                ---                 https://bare.links
+//   ```go                  fenced code, highlighted for the languages in GRAMMARS
+//
+// Nothing the user typed reaches the page as HTML: every piece of text is
+// escaped first and the renderer only adds its own fixed set of tags, so
+// raw <script>, event attributes and the like come out as visible text.
+// Links must be http(s) or mailto; anything else (javascript:, data:) is
+// shown as its label only.
+//
+// Highlighted code wraps tokens in <span class="hl-keyword|hl-string|
+// hl-comment|hl-number">; the pages style those classes.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.markdown = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+    const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+    function escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    // SYNTAX HIGHLIGHTING
+    const C_COMMENTS = ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'];
+    const HASH_COMMENTS = ['#[^\\n]*'];
+    const QUOTED = ['"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"?', "'(?:\\\\[\\s\\S]|[^'\\\\\\n])*'?"];
+
+    const GRAMMARS = {
+        javascript: {
+            comments: C_COMMENTS,
+            strings: QUOTED.concat(['`(?:\\\\[\\s\\S]|[^`\\\\])*`?']),
+            keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield'
+        },
+        python: {
+            comments: HASH_COMMENTS,
+            strings: ['"""[\\s\\S]*?(?:"""|$)', "'''[\\s\\S]*?(?:'''|$)"].concat(QUOTED),
+            keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+        },
+        go: {
+            comments: C_COMMENTS,
+            strings: QUOTED.concat(['`[^`]*`?']),
+            keywords: 'break case chan const continue default defer else fallthrough false for func go goto if import interface map nil package range return select struct switch true type var'
+        },
+        rust: {
+            comments: C_COMMENTS,
+            strings: QUOTED,
+            keywords: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while'
+        },
+        java: {
+            comments: C_COMMENTS,
+            strings: QUOTED,
+            keywords: 'abstract boolean break byte case catch char class const continue default do double else enum extends false final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true try var void while'
+        },
+        c: {
+            comments: C_COMMENTS.concat(['#\\s*\\w+']),
+            strings: QUOTED,
+            keywords: 'auto bool break case char class const continue default delete do double else enum extern false float for if include inline int long namespace new nullptr private protected public return short signed sizeof static struct switch template this true typedef union unsigned using virtual void volatile while'
+        },
+        sql: {
+            comments: ['--[^\\n]*', '\\/\\*[\\s\\S]*?(?:\\*\\/|$)'],
+            strings: ["'(?:''|[^'])*'?"],
+            keywords: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union update values when where with',
+            caseInsensitive: true
+        },
+        bash: {
+            comments: HASH_COMMENTS,
+            strings: QUOTED,
+            keywords: 'case do done elif else esac export fi for function if in local return then until while'
+        },
+        json: {
+            comments: [],
+            strings: ['"(?:\\\\[\\s\\S]|[^"\\\\\\n])*"?'],
+            keywords: 'false null true'
+        }
+    };
+
+    const ALIASES = {
+        js: 'javascript', jsx: 'javascript', ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+        py: 'python', golang: 'go', rs: 'rust', kotlin: 'java', kt: 'java', cs: 'java', csharp: 'java',
+        h: 'c', cpp: 'c', 'c++': 'c', hpp: 'c', sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash'
+    };
+
+    const NUMBER = '\\b(?:0[xX][0-9a-fA-F]+|\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+    const compiled = {};
+
+    function grammarFor(language) {
+        const name = String(language || '').toLowerCase();
+        const key = GRAMMARS[name] ? name : ALIASES[name];
+        if (!key) return null;
+        if (!compiled[key]) {
+            const grammar = GRAMMARS[key];
+            const group = sources => sources.length ? sources.join('|') : '(?!)';
+            compiled[key] = new RegExp(
+                `(${group(grammar.comments)})|(${group(grammar.strings)})|(${NUMBER})|\\b(${grammar.keywords.split(' ').join('|')})\\b`,
+                grammar.caseInsensitive ? 'gi' : 'g'
+            );
+        }
+        return compiled[key];
+    }
+
+    /**
+     * @param {string} code - Source text
+     * @param {string} [language] - Fence info, e.g. "js" or "python"
+     * @returns {string} - Escaped HTML; plain when the language is unknown
+     */
+    function highlight(code, language) {
+        const pattern = grammarFor(language);
+        if (!pattern) return escapeHtml(code);
+        const classes = ['hl-comment', 'hl-string', 'hl-number', 'hl-keyword'];
+        let html = '';
+        let last = 0;
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(code))) {
+            if (!match[0]) {
+                pattern.lastIndex++;
+                continue;
+            }
+            const kind = [1, 2, 3, 4].find(group => match[group] !== undefined);
+            html += escapeHtml(code.slice(last, match.index)) + `<span class="${classes[kind - 1]}">${escapeHtml(match[0])}</span>`;
+            last = match.index + match[0].length;
+        }
+        return html + escapeHtml(code.slice(last));
+    }
+
+    // INLINE
+    // `label` is already HTML
+    function link(label, url) {
+        const href = url.trim();
+        if (!SAFE_URL.test(href)) return label;
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    }
+
+    // Code and links are set aside as placeholders first, so emphasis
+    // markers inside them (snake_case, URLs with underscores) stay literal
+    function renderInline(text) {
+        return renderSpans(String(text).replace(/\u0000/g, ''), []);
+    }
+
+    // Link labels are rendered with the same `kept` list, so a code span
+    // already set aside inside a label ([`kubectl`](https://...)) comes back.
+    // URLs never run into a placeholder (a code span inside a URL ends the
+    // URL there), and labels get no autolinks: links do not nest.
+    function renderSpans(text, kept, inLabel = false) {
+        const keep = html => `\u0000${kept.push(html) - 1}\u0000`;
+
+        let html = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (all, ticks, code) => keep(`<code>${escapeHtml(code.trim())}</code>`))
+            .replace(/\[([^\]]+)\]\(\s*<?((?:[^()\s<>\u0000]|\([^()\s\u0000]*\))+)>?(?:\s+"[^"]*")?\s*\)/g, (all, label, url) => keep(link(renderSpans(label, kept, true), url)));
+        if (!inLabel) {
+            html = html
+                .replace(/<((?:https?:\/\/|mailto:)[^\s>\u0000]+)>/gi, (all, url) => keep(link(escapeHtml(url), url)))
+                .replace(/\bhttps?:\/\/[^\s<\u0000]*[^\s<\u0000.,:;!?'")\]]/gi, url => keep(link(escapeHtml(url), url)));
+        }
+
+        html = escapeHtml(html)
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\w)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+        return html.replace(PLACEHOLDER, (all, index) => kept[Number(index)]);
+    }
+
+    // BLOCKS
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+    const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}> ?/;
+    const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+    function startsBlock(line) {
+        return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+    }
+
+    function indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    function renderList(lines, start) {
+        const first = lines[start].match(LIST_ITEM);
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const match = lines[i].match(LIST_ITEM);
+            if (!match || /\d/.test(match[2]) !== ordered) break;
+            // Lines indented past the marker belong to this item, nested lists included
+            const contentIndent = match[1].length + match[2].length + 1;
+            const body = [match[3]];
+            i++;
+            while (i < lines.length) {
+                const line = lines[i];
+                if (!line.trim()) {
+                    const next = lines[i + 1];
+                    if (next !== undefined && next.trim() && indentOf(next) >= contentIndent) {
+                        body.push('');
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+                if (indentOf(line) >= Math.min(contentIndent, 2)) body.push(line.slice(Math.min(indentOf(line), contentIndent)));
+                else if (!startsBlock(line)) body.push(line);
+                else break;
+                i++;
+            }
+            const nested = body.slice(1).some(line => startsBlock(line) || !line.trim());
+            items.push(nested ? renderBlocks(body) : renderInline(body.join(' ')));
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const number = ordered ? parseInt(first[2], 10) : 1;
+        const html = `<${tag}${ordered && number !== 1 ? ` start="${number}"` : ''}>${items.map(item => `<li>${item}</li>`).join('')}</${tag}>`;
+        return { html, next: i };
+    }
+
+    function renderBlocks(lines) {
+        const blocks = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            let match;
+
+            if (!line.trim()) {
+                i++;
+            } else if ((match = line.match(FENCE))) {
+                const fence = match[1];
+                const code = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence) && !lines[i].trim().slice(fence.length).trim())) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const language = match[2].toLowerCase();
+                blocks.push(`<pre><code${language ? ` class="language-${escapeHtml(language)}"` : ''}>${highlight(code.join('\n'), language)}</code></pre>`);
+            } else if ((match = line.match(HEADING))) {
+                const level = match[1].length;
+                blocks.push(`<h${level}>${renderInline(match[2])}</h${level}>`);
+                i++;
+            } else if (RULE.test(line)) {
+                blocks.push('<hr>');
+                i++;
+            } else if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !startsBlock(lines[i]))) {
+                    quoted.push(lines[i].replace(QUOTE, ''));
+                    i++;
+                }
+                blocks.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+            } else if (LIST_ITEM.test(line)) {
+                const list = renderList(lines, i);
+                blocks.push(list.html);
+                i = list.next;
+            } else {
+                const paragraph = [];
+                while (i < lines.length && lines[i].trim() && (!paragraph.length || !startsBlock(lines[i]))) {
+                    paragraph.push(lines[i].trim());
+                    i++;
+                }
+                blocks.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+            }
+        }
+        return blocks.join('');
+    }
+
+    /**
+     * @param {string} text - Markdown source, e.g. a topic's notes
+     * @returns {string} - Safe HTML for innerHTML
+     */
+    function render(text) {
+        if (!text) return '';
+        return renderBlocks(String(text).replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'));
+    }
+
+    return {
+        escapeHtml,
+        highlight,
+        render
+    };
+});
@@ -0,0 +1,107 @@
+// ===========================================
+// MASTERY OS - MERGE IMPORT
+// ===========================================
+//
+// Combines a backup with the current data instead of replacing it, e.g.
+// backups from two laptops. Records are matched by id:
+//   only in the backup       -> added
+//   same content both sides  -> skipped (updatedAt and other bookkeeping
+//                               fields do not count)
+//   different content        -> conflict, resolved one by one as
+//                               'local' (keep ours), 'imported' (take theirs)
+//                               or 'both' (keep ours, add theirs as a copy)
+//
+// planMerge() finds the conflicts, resolveMerge() turns the chosen
+// resolutions into the changes store.mergeTopics() applies.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./history'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.merge = factory(root.MasteryOS.topics, root.MasteryOS.history);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, history) {
+    'use strict';
+
+    const RESOLUTIONS = ['local', 'imported', 'both'];
+    const COPY_SUFFIX = ' (imported)';
+
+    function newer(a, b) {
+        return (Date.parse(a.updatedAt) || 0) > (Date.parse(b.updatedAt) || 0);
+    }
+
+    /**
+     * @param {Array} local - Current topics, trash included
+     * @param {Array} imported - Normalised topics from the backup
+     * @returns {Object} - { added, unchanged, conflicts }; each conflict is
+     *   { id, local, imported, changes, suggested } where `changes` come from
+     *   history.diffTopics() and `suggested` is the side edited last
+     */
+    function planMerge(local, imported) {
+        const plan = { added: [], unchanged: [], conflicts: [] };
+        const seen = new Set();
+
+        imported.forEach(theirs => {
+            // A backup listing the same id twice: the first one wins
+            if (seen.has(theirs.id)) return;
+            seen.add(theirs.id);
+
+            const ours = local.find(topic => model.sameId(topic.id, theirs.id));
+            if (!ours) {
+                plan.added.push(theirs);
+                return;
+            }
+            const changes = history.diffTopics(ours, theirs);
+            if (!changes.length) {
+                plan.unchanged.push(ours);
+                return;
+            }
+            plan.conflicts.push({
+                id: ours.id,
+                local: ours,
+                imported: theirs,
+                changes,
+                suggested: newer(theirs, ours) ? 'imported' : 'local'
+            });
+        });
+        return plan;
+    }
+
+    /**
+     * @param {Object} plan - From planMerge()
+     * @param {Object} resolutions - Conflict id -> 'local' | 'imported' | 'both';
+     *   conflicts without one keep their suggested side
+     * @returns {Object} - { additions, updates, summary: { added, updated, skipped } }
+     */
+    function resolveMerge(plan, resolutions = {}) {
+        const additions = plan.added.slice();
+        const updates = [];
+        let skipped = plan.unchanged.length;
+
+        plan.conflicts.forEach(conflict => {
+            const choice = resolutions[conflict.id] || conflict.suggested;
+            if (!RESOLUTIONS.includes(choice)) throw new Error(`Unknown resolution "${choice}" for node ${conflict.id}`);
+            if (choice === 'imported') {
+                updates.push(conflict.imported);
+            } else if (choice === 'both') {
+                // The store gives the copy a fresh id
+                additions.push({ ...conflict.imported, id: undefined, title: conflict.imported.title + COPY_SUFFIX });
+            } else {
+                skipped++;
+            }
+        });
+
+        return {
+            additions,
+            updates,
+            summary: { added: additions.length, updated: updates.length, skipped }
+        };
+    }
+
+    return {
+        RESOLUTIONS,
+        planMerge,
+        resolveMerge
+    };
+});
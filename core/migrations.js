@@ -0,0 +1,268 @@
+// ===========================================
+// MASTERY OS - SCHEMA MIGRATIONS
+// ===========================================
+//
+// Stored data is wrapped in a versioned envelope:
+//
+//   { schemaVersion: 3, topics: [...], unmigrated: [...] }
+//
+// Older data is upgraded one version at a time through MIGRATIONS. Before
+// anything is rewritten the raw pre-migration values are copied to
+// BACKUP_KEY, and records a migration step rejects are kept (with the
+// reason) in `unmigrated` instead of being dropped.
+//
+// Versions:
+//   0 - per-variant records: `learningTopics` (script.js), `journeys` (React)
+//   1 - bare array under `mastery_os_v3`
+//   2 - canonical schema from core/topics.js inside the envelope
+//   3 - `tags` list instead of the comma separated `destinations` string
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.migrations = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const SCHEMA_VERSION = 3;
+    const STORAGE_KEY = 'mastery_os';
+    const BACKUP_KEY = 'mastery_os_pre_migration_backup';
+
+    // Keys written before the envelope existed, read once and then retired
+    const LEGACY_SOURCES = [
+        { key: 'mastery_os_v3', version: 1 },
+        { key: 'learningTopics', version: 0 },
+        { key: 'journeys', version: 0 }
+    ];
+
+    // Each step takes a record at `version - 1` and returns it at `version`.
+    // Throwing rejects the record; the message ends up in the report.
+    const MIGRATIONS = [
+        {
+            version: 1,
+            description: 'Rename per-variant fields to the mastery_os_v3 names',
+            migrate(record) {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    throw new Error('Record is not an object');
+                }
+                const { name, targetDate, resources, ...rest } = record;
+                const migrated = { ...rest };
+                if (migrated.title === undefined && name !== undefined) migrated.title = name;
+                if (migrated.endDate === undefined && targetDate !== undefined) migrated.endDate = targetDate;
+                if (migrated.links === undefined && resources !== undefined) {
+                    migrated.links = model.normalizeLinks(resources);
+                }
+                if (migrated.status !== undefined) migrated.status = model.normalizeStatus(migrated.status);
+                return migrated;
+            }
+        },
+        {
+            version: 2,
+            description: 'Canonical shared topic schema',
+            migrate(record) {
+                if (typeof record.title !== 'string' || !record.title.trim()) {
+                    throw new Error('Missing title');
+                }
+                return model.normalizeTopic(record);
+            }
+        },
+        {
+            version: 3,
+            description: 'Tags list replaces the destinations string',
+            migrate(record) {
+                const { destinations, ...rest } = record;
+                return model.normalizeTopic({
+                    ...rest,
+                    tags: Array.isArray(record.tags) ? record.tags : model.normalizeTags(destinations)
+                });
+            }
+        }
+    ];
+
+    function describe(record) {
+        if (record && typeof record === 'object') {
+            if (record.title || record.name) return String(record.title || record.name);
+            return record.id !== undefined ? `Untitled (id ${record.id})` : 'Untitled';
+        }
+        return String(record);
+    }
+
+    /**
+     * Run records through every migration newer than `fromVersion`
+     * @param {Array} records - Records stored at `fromVersion`
+     * @param {number} fromVersion - Schema version the records were written with
+     * @param {string} [source] - Storage key or file name, for the report
+     * @returns {Object} - { topics, failed: [{ source, index, label, reason, record }] }
+     */
+    function migrateRecords(records, fromVersion, source = 'import') {
+        const steps = MIGRATIONS.filter(step => step.version > fromVersion);
+        const topics = [];
+        const failed = [];
+
+        records.forEach((record, index) => {
+            try {
+                topics.push(steps.reduce((current, step) => step.migrate(current), record));
+            } catch (error) {
+                failed.push({ source, index, label: describe(record), reason: error.message, record });
+            }
+        });
+
+        return { topics, failed };
+    }
+
+    /**
+     * Accept either a bare array (version 1 or older) or an envelope
+     * @param {*} data - Parsed JSON
+     * @param {number} [bareVersion] - Version to assume for a bare array
+     * @returns {Object} - { version, records, unmigrated }
+     */
+    function unwrap(data, bareVersion = 1) {
+        if (Array.isArray(data)) {
+            return { version: bareVersion, records: data, unmigrated: [] };
+        }
+        if (data && typeof data === 'object' && Array.isArray(data.topics)) {
+            return {
+                version: Number(data.schemaVersion) || 0,
+                records: data.topics,
+                unmigrated: Array.isArray(data.unmigrated) ? data.unmigrated : []
+            };
+        }
+        throw new Error('Data must be an array or a Mastery OS backup');
+    }
+
+    /**
+     * Summary handed to the UI after an upgrade; raw records are left out
+     * @returns {Object} - { fromVersions, toVersion, sources, migrated, failed, backupKey }
+     */
+    function createReport({ fromVersions, sources, topics, failed, backupKey }) {
+        return {
+            fromVersions,
+            toVersion: SCHEMA_VERSION,
+            sources,
+            migrated: topics.length,
+            failed: failed.map(({ record, ...details }) => details),
+            backupKey
+        };
+    }
+
+    function wrap(topics, unmigrated = []) {
+        return { schemaVersion: SCHEMA_VERSION, topics, unmigrated };
+    }
+
+    // Two variants both used Date.now() ids, so merged sources can collide
+    function dedupeIds(topics) {
+        const seen = new Set();
+        return topics.map(topic => {
+            if (!seen.has(topic.id)) {
+                seen.add(topic.id);
+                return topic;
+            }
+            let id = topic.id;
+            while (seen.has(id)) id++;
+            seen.add(id);
+            return { ...topic, id };
+        });
+    }
+
+    /**
+     * Read the envelope, upgrading it (or the legacy keys) when needed.
+     * Legacy keys that reappear next to the envelope (a page from before the
+     * envelope still open or cached) are folded in and retired the same way;
+     * their records never replace envelope records with the same id.
+     * @param {Storage} storage - localStorage or compatible
+     * @param {string} [key] - Envelope key
+     * @returns {Object} - { topics, unmigrated, report } where report is null
+     *   when nothing had to be migrated
+     */
+    function loadAndMigrate(storage, key = STORAGE_KEY) {
+        const current = storage.getItem(key);
+        const legacy = LEGACY_SOURCES
+            .filter(source => source.key !== key)
+            .map(source => ({ ...source, raw: storage.getItem(source.key) }))
+            .filter(source => source.raw !== null);
+        const sources = current !== null
+            ? [{ key, version: SCHEMA_VERSION, raw: current }, ...legacy]
+            : legacy;
+
+        const topics = [];
+        const unmigrated = [];
+        const failed = [];
+        const fromVersions = [];
+        const envelopeIds = new Set();
+        let needsMigration = legacy.length > 0;
+
+        sources.forEach(source => {
+            let unwrapped;
+            try {
+                unwrapped = unwrap(JSON.parse(source.raw), source.version);
+            } catch (error) {
+                failed.push({ source: source.key, index: null, label: 'Entire key', reason: error.message, record: source.raw });
+                needsMigration = true;
+                return;
+            }
+
+            unmigrated.push(...unwrapped.unmigrated);
+            fromVersions.push(unwrapped.version);
+            let records;
+            if (unwrapped.version >= SCHEMA_VERSION) {
+                records = unwrapped.records.map(model.normalizeTopic);
+            } else {
+                needsMigration = true;
+                const result = migrateRecords(unwrapped.records, unwrapped.version, source.key);
+                records = result.topics;
+                failed.push(...result.failed);
+            }
+
+            // The envelope is read first, at whatever version it was stored
+            if (source.key === key) {
+                records.forEach(topic => envelopeIds.add(topic.id));
+                topics.push(...records);
+            } else {
+                topics.push(...records.filter(topic => !envelopeIds.has(topic.id)));
+            }
+        });
+
+        if (!needsMigration) {
+            return { topics, unmigrated, report: null };
+        }
+
+        storage.setItem(BACKUP_KEY, JSON.stringify({
+            takenAt: new Date().toISOString(),
+            toVersion: SCHEMA_VERSION,
+            data: sources.reduce((all, source) => ({ ...all, [source.key]: source.raw }), {})
+        }));
+
+        const migratedTopics = dedupeIds(topics);
+        const rejected = unmigrated.concat(failed);
+        storage.setItem(key, JSON.stringify(wrap(migratedTopics, rejected)));
+        legacy.forEach(source => storage.removeItem(source.key));
+
+        return {
+            topics: migratedTopics,
+            unmigrated: rejected,
+            report: createReport({
+                fromVersions,
+                sources: sources.map(source => source.key),
+                topics: migratedTopics,
+                failed,
+                backupKey: BACKUP_KEY
+            })
+        };
+    }
+
+    return {
+        SCHEMA_VERSION,
+        STORAGE_KEY,
+        BACKUP_KEY,
+        LEGACY_SOURCES,
+        MIGRATIONS,
+        migrateRecords,
+        createReport,
+        unwrap,
+        wrap,
+        loadAndMigrate
+    };
+});
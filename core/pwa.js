@@ -0,0 +1,81 @@
+// ===========================================
+// MASTERY OS - OFFLINE APP
+// ===========================================
+//
+// Registers the service worker (sw.js) that caches the app shell, and
+// reports when a new version of it is waiting. The waiting worker only
+// takes over once the page calls applyUpdate(), so an edit in progress is
+// never reloaded away; the page reloads itself when the new worker is in
+// control.
+//
+// Service workers need http(s): opened from a file:// URL the pages still
+// work, just without the offline cache.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.pwa = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const WORKER_URL = 'sw.js';
+    const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+    function isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+            typeof location !== 'undefined' && /^https?:$/.test(location.protocol);
+    }
+
+    // A waiting worker is an update only when an older one controls the page
+    function watchForUpdate(registration, onUpdate) {
+        if (registration.waiting && navigator.serviceWorker.controller) onUpdate(registration.waiting);
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) onUpdate(worker);
+            });
+        });
+    }
+
+    /**
+     * @param {Object} [options] - { onUpdate(worker) } called when a new version is ready
+     * @returns {Promise} - The registration, or null where service workers are unavailable
+     */
+    function register(options = {}) {
+        if (!isSupported()) return Promise.resolve(null);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading) return;
+            reloading = true;
+            location.reload();
+        });
+        return navigator.serviceWorker.register(WORKER_URL).then(registration => {
+            if (options.onUpdate) watchForUpdate(registration, options.onUpdate);
+            // Long-lived tabs look for a new version now and then
+            setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+            return registration;
+        }).catch(error => {
+            console.warn('Offline mode unavailable:', error);
+            return null;
+        });
+    }
+
+    /**
+     * Let the waiting worker take over; the page reloads on controllerchange
+     * @param {ServiceWorker} worker - As passed to onUpdate
+     */
+    function applyUpdate(worker) {
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    return {
+        WORKER_URL,
+        isSupported,
+        register,
+        applyUpdate
+    };
+});
@@ -0,0 +1,302 @@
+// ===========================================
+// MASTERY OS - SEARCH QUERIES
+// ===========================================
+//
+// The search box understands a small query language; every term must match:
+//
+//   docker                  title, tags, category, notes or links contain "docker"
+//   "distributed systems"   the same for a phrase
+//   status:ongoing          planning | ongoing | completed (or learning, mastered, ...)
+//   prio:high               low | med | high
+//   tag:go                  tagged "go"; tag:"machine learning" for spaces
+//   cat:backend             category contains "backend"
+//   title: notes: link:     only search that field
+//   due:<2026-12-01         target date; also start:, created:, updated:
+//                           with < <= > >= = and today or +7d / -7d
+//   progress:>=50           0-100
+//   is:overdue              overdue | due-soon | blocked | ready
+//   -docker, -status:planning, -"phrase"   negate any term
+//
+// Terms that cannot be read are left out and reported in `errors`, so the
+// list keeps filtering on the rest while the user types.
+//
+// Named queries ("smart filters") are saved per workspace under FILTERS_KEY.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./graph'), require('./deadlines'), require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.query = factory(root.MasteryOS.topics, root.MasteryOS.graph, root.MasteryOS.deadlines, root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, graph, deadlines, workspaces) {
+    'use strict';
+
+    const FILTERS_KEY = 'mastery_os_smart_filters';
+
+    const FIELD_ALIASES = {
+        status: 'status',
+        prio: 'priority',
+        priority: 'priority',
+        tag: 'tag',
+        stack: 'tag',
+        cat: 'category',
+        category: 'category',
+        title: 'title',
+        notes: 'notes',
+        note: 'notes',
+        link: 'links',
+        links: 'links',
+        url: 'links',
+        due: 'endDate',
+        end: 'endDate',
+        target: 'endDate',
+        start: 'startDate',
+        created: 'createdAt',
+        updated: 'updatedAt',
+        progress: 'progress',
+        is: 'is'
+    };
+
+    const STATUS_WORDS = {
+        planning: 'planning', todo: 'planning', queue: 'planning',
+        ongoing: 'ongoing', learning: 'ongoing', active: 'ongoing',
+        completed: 'completed', mastered: 'completed', done: 'completed'
+    };
+    const PRIORITY_WORDS = { low: 'low', med: 'med', medium: 'med', high: 'high', critical: 'high' };
+    const IS_WORDS = ['overdue', 'due-soon', 'blocked', 'ready'];
+    const DATE_FIELDS = ['endDate', 'startDate', 'createdAt', 'updatedAt'];
+    const TEXT_FIELDS = ['title', 'category', 'notes', 'links'];
+    const COMPARISON = /^(<=|>=|<|>|=)?(.*)$/;
+
+    // Own keys only: "constructor:x" is an unknown field, not Object.prototype's
+    function lookup(table, key) {
+        return Object.prototype.hasOwnProperty.call(table, key) ? table[key] : undefined;
+    }
+
+    // PARSING
+    // Splits on whitespace; quotes group a phrase, also after `-` or `field:`
+    function tokenize(text, errors) {
+        const tokens = [];
+        const pattern = /\S+/g;
+        let match;
+        while ((match = pattern.exec(text))) {
+            let raw = match[0];
+            if ((raw.match(/"/g) || []).length % 2 === 1) {
+                const close = text.indexOf('"', match.index + raw.length);
+                if (close === -1) {
+                    // Still search for what has been typed so far
+                    errors.push({ token: text.slice(match.index), message: 'Missing closing quote' });
+                    raw = text.slice(match.index) + '"';
+                    pattern.lastIndex = text.length;
+                } else {
+                    raw = text.slice(match.index, close + 1);
+                    pattern.lastIndex = close + 1;
+                }
+            }
+            tokens.push(raw);
+        }
+        return tokens;
+    }
+
+    function unquote(value) {
+        return value.replace(/^"([\s\S]*)"$/, '$1');
+    }
+
+    /**
+     * "today", "+7d", "-30d" or "YYYY-MM-DD" as a local day
+     * @returns {string|null} - "YYYY-MM-DD"
+     */
+    function resolveDate(value, now) {
+        const text = value.toLowerCase();
+        const today = new Date(now);
+        if (text === 'today') return deadlines.toDateString(today);
+        const relative = /^([+-]\d+)d$/.exec(text);
+        if (relative) {
+            today.setDate(today.getDate() + Number(relative[1]));
+            return deadlines.toDateString(today);
+        }
+        const parsed = /^\d{4}-\d{2}-\d{2}$/.test(text) && deadlines.parseLocalDate(text);
+        return parsed && deadlines.toDateString(parsed) === text ? text : null;
+    }
+
+    function parseTerm(token, now) {
+        let rest = token;
+        const negate = rest.length > 1 && rest[0] === '-';
+        if (negate) rest = rest.slice(1);
+
+        // Plain words, phrases and pasted URLs ("https://...") search all text
+        const colon = rest.indexOf(':');
+        if (colon <= 0 || rest[0] === '"' || rest.startsWith('//', colon + 1)) {
+            const text = unquote(rest).toLowerCase();
+            return text ? { field: 'text', op: '=', value: text, negate } : null;
+        }
+
+        const name = rest.slice(0, colon).toLowerCase();
+        const field = lookup(FIELD_ALIASES, name);
+        if (!field) throw new Error(`Unknown field "${name}"`);
+        const [, op = '=', rawValue] = COMPARISON.exec(unquote(rest.slice(colon + 1)));
+        const value = unquote(rawValue).trim().toLowerCase();
+        if (!value) throw new Error(`"${name}:" needs a value`);
+        const ordered = DATE_FIELDS.includes(field) || field === 'progress';
+        if (op !== '=' && !ordered) throw new Error(`"${name}:" cannot be compared with ${op}`);
+
+        if (field === 'status') {
+            const status = lookup(STATUS_WORDS, value);
+            if (!status) throw new Error(`Unknown status "${value}"`);
+            return { field, op, value: status, negate };
+        }
+        if (field === 'priority') {
+            const priority = lookup(PRIORITY_WORDS, value);
+            if (!priority) throw new Error(`Unknown priority "${value}"`);
+            return { field, op, value: priority, negate };
+        }
+        if (field === 'is') {
+            if (!IS_WORDS.includes(value)) throw new Error(`"is:" takes ${IS_WORDS.join(', ')}`);
+            return { field, op, value, negate };
+        }
+        if (field === 'progress') {
+            const number = Number(value.replace(/%$/, ''));
+            if (isNaN(number)) throw new Error(`"${value}" is not a number`);
+            return { field, op, value: number, negate };
+        }
+        if (DATE_FIELDS.includes(field)) {
+            const date = resolveDate(value, now);
+            if (!date) throw new Error(`"${value}" is not a date (YYYY-MM-DD, today, +7d)`);
+            return { field, op, value: date, negate };
+        }
+        return { field, op, value, negate };
+    }
+
+    /**
+     * @param {string} text - What the user typed
+     * @param {Object} [options] - { now } for relative dates
+     * @returns {Object} - { terms, errors: [{ token, message }] }
+     */
+    function parseQuery(text, options = {}) {
+        const now = options.now || Date.now();
+        const errors = [];
+        const terms = [];
+        tokenize(String(text || ''), errors).forEach(token => {
+            try {
+                const term = parseTerm(token, now);
+                if (term) terms.push(term);
+            } catch (error) {
+                errors.push({ token, message: error.message });
+            }
+        });
+        return { terms, errors };
+    }
+
+    // MATCHING
+    function compare(actual, op, expected) {
+        if (op === '<') return actual < expected;
+        if (op === '<=') return actual <= expected;
+        if (op === '>') return actual > expected;
+        if (op === '>=') return actual >= expected;
+        return actual === expected;
+    }
+
+    // Dates are compared as local "YYYY-MM-DD" days
+    function dayOf(topic, field) {
+        if (!topic[field]) return null;
+        const date = deadlines.parseLocalDate(topic[field]);
+        return date ? deadlines.toDateString(date) : null;
+    }
+
+    function matchesTerm(topic, term, context) {
+        switch (term.field) {
+            case 'text':
+                return TEXT_FIELDS.some(field => String(topic[field] || '').toLowerCase().includes(term.value))
+                    || (topic.tags || []).some(tag => tag.toLowerCase().includes(term.value));
+            case 'status':
+            case 'priority':
+                return topic[term.field] === term.value;
+            case 'tag':
+                return model.hasTag(topic, term.value);
+            case 'category':
+            case 'title':
+            case 'notes':
+            case 'links':
+                return String(topic[term.field] || '').toLowerCase().includes(term.value);
+            case 'progress':
+                return compare(model.getProgress(topic), term.op, term.value);
+            case 'is':
+                if (term.value === 'blocked' || term.value === 'ready') {
+                    return graph.getReadiness(topic, context.index()) === term.value;
+                }
+                return deadlines.getDeadlineState(topic, { now: context.now }) === term.value;
+            default: {
+                const day = dayOf(topic, term.field);
+                return day !== null && compare(day, term.op, term.value);
+            }
+        }
+    }
+
+    /**
+     * @param {Array} topics - Topics to search
+     * @param {string|Object} query - Text, or the result of parseQuery()
+     * @param {Object} [options] - { now, all } where `all` is every live topic,
+     *   used to resolve prerequisites for is:blocked / is:ready
+     * @returns {Object} - { topics, errors }
+     */
+    function filterByQuery(topics, query, options = {}) {
+        const parsed = typeof query === 'string' ? parseQuery(query, options) : query;
+        if (!parsed.terms.length) return { topics: topics.slice(), errors: parsed.errors };
+        let index = null;
+        const context = {
+            now: options.now || Date.now(),
+            index: () => index || (index = graph.indexTopics(options.all || topics))
+        };
+        return {
+            topics: topics.filter(topic => parsed.terms.every(term => matchesTerm(topic, term, context) !== term.negate)),
+            errors: parsed.errors
+        };
+    }
+
+    // SMART FILTERS
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    /**
+     * @returns {Array} - [{ id, name, query }] in the order they were saved
+     */
+    function getSmartFilters(storage = defaultStorage()) {
+        try {
+            const stored = JSON.parse((storage && storage.getItem(FILTERS_KEY)) || '[]');
+            return Array.isArray(stored) ? stored.filter(filter => filter && filter.name && filter.query) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // Saving under an existing name replaces that filter's query
+    function saveSmartFilter(name, query, storage = defaultStorage()) {
+        const label = String(name || '').trim();
+        if (!label) throw new Error('A smart filter needs a name');
+        if (!String(query || '').trim()) throw new Error('A smart filter needs a query');
+        const filters = getSmartFilters(storage);
+        const existing = filters.find(filter => filter.name.toLowerCase() === label.toLowerCase());
+        const next = existing
+            ? filters.map(filter => (filter === existing ? { ...filter, query: query.trim() } : filter))
+            : [...filters, { id: model.generateId(filters), name: label, query: query.trim() }];
+        storage.setItem(FILTERS_KEY, JSON.stringify(next));
+        return next;
+    }
+
+    function removeSmartFilter(id, storage = defaultStorage()) {
+        const next = getSmartFilters(storage).filter(filter => !model.sameId(filter.id, id));
+        storage.setItem(FILTERS_KEY, JSON.stringify(next));
+        return next;
+    }
+
+    return {
+        FILTERS_KEY,
+        parseQuery,
+        filterByQuery,
+        getSmartFilters,
+        saveSmartFilter,
+        removeSmartFilter
+    };
+});
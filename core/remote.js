@@ -0,0 +1,340 @@
+// ===========================================
+// MASTERY OS - REMOTE SYNC
+// ===========================================
+//
+// Opt-in sync with a REST backend (see server/sync-server.js for the API
+// and a reference server), so several devices share one set of topics.
+//
+// The engine remembers, per record, the server revision and the updatedAt
+// it last synced. A record whose updatedAt has moved on since is pending;
+// pending records are pushed with that revision as `baseRevision`, and the
+// server refuses the write (409) when someone else changed the record in
+// between. Pending changes are worked out from the stored data itself, so
+// they survive going offline and reloading the page: the queue empties once
+// the server is reachable again.
+//
+// A record changed on both sides is a conflict and waits, unsynced, until
+// resolveConflict() keeps one side ('local' or 'remote'). Records only
+// changed on the server are put in place with store.applyRemote().
+//
+// Settings (endpoint, token, enabled) and sync state live in localStorage
+// under SETTINGS_KEY and STATE_KEY; the state starts over when the
+// endpoint changes.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./history'), require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.remote = factory(root.MasteryOS.history, root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (history, workspaces) {
+    'use strict';
+
+    const SETTINGS_KEY = 'mastery_os_remote';
+    const STATE_KEY = 'mastery_os_remote_state';
+    const RETRY_MS = 60 * 1000;
+    const PUSH_DELAY_MS = 2000;
+
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    function readJson(storage, key) {
+        try {
+            const stored = JSON.parse((storage && storage.getItem(key)) || 'null');
+            return stored && typeof stored === 'object' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // SETTINGS
+    function getSettings(storage = defaultStorage()) {
+        const stored = readJson(storage, SETTINGS_KEY) || {};
+        return {
+            endpoint: typeof stored.endpoint === 'string' ? stored.endpoint : '',
+            token: typeof stored.token === 'string' ? stored.token : '',
+            enabled: Boolean(stored.enabled && stored.endpoint)
+        };
+    }
+
+    /**
+     * @param {Object} settings - { endpoint, token, enabled }; the endpoint is
+     *   the API root, e.g. "http://localhost:8787/api"
+     */
+    function saveSettings(settings, storage = defaultStorage()) {
+        const endpoint = String(settings.endpoint || '').trim().replace(/\/+$/, '');
+        if (endpoint && !/^https?:\/\//.test(endpoint)) throw new Error('The endpoint must start with http:// or https://');
+        const saved = { endpoint, token: String(settings.token || '').trim(), enabled: Boolean(settings.enabled && endpoint) };
+        storage.setItem(SETTINGS_KEY, JSON.stringify(saved));
+        return saved;
+    }
+
+    // STATE
+    function emptyState(endpoint) {
+        return { endpoint, cursor: 0, synced: {}, conflicts: [], lastSyncedAt: null };
+    }
+
+    function loadState(endpoint, storage) {
+        const stored = readJson(storage, STATE_KEY);
+        return stored && stored.endpoint === endpoint ? { ...emptyState(endpoint), ...stored } : emptyState(endpoint);
+    }
+
+    function sameContent(a, b) {
+        return history.diffTopics(a, b).length === 0;
+    }
+
+    /**
+     * @param {Array} records - Every local record, trash included
+     * @param {Object} state - Sync state
+     * @returns {Array} - [{ id, topic }] to push; topic null for records purged here
+     */
+    function pendingChanges(records, state) {
+        const conflicted = new Set(state.conflicts.map(conflict => conflict.id));
+        const changes = records
+            .filter(topic => !conflicted.has(topic.id))
+            .filter(topic => !state.synced[topic.id] || state.synced[topic.id].updatedAt !== topic.updatedAt)
+            .map(topic => ({ id: topic.id, topic }));
+        const present = new Set(records.map(topic => topic.id));
+        Object.keys(state.synced).map(Number)
+            .filter(id => !present.has(id) && !conflicted.has(id) && state.synced[id].updatedAt !== null)
+            .forEach(id => changes.push({ id, topic: null }));
+        return changes;
+    }
+
+    // ENGINE
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - From core/store.js
+     * @param {Function} [options.onStatus] - Called with getStatus() whenever it changes
+     * @param {Function} [options.fetch] - Defaults to the global fetch
+     * @param {Storage} [options.storage]
+     * @returns {Object} - { start, stop, syncNow, getStatus, resolveConflict }
+     */
+    function createRemoteSync(options) {
+        const store = options.store;
+        const storage = options.storage || defaultStorage();
+        const onStatus = options.onStatus || (() => {});
+        const fetchImpl = options.fetch || (typeof fetch !== 'undefined' ? (...args) => fetch(...args) : null);
+        let settings = getSettings(storage);
+        let state = loadState(settings.endpoint, storage);
+        let status = { state: settings.enabled ? 'idle' : 'off', pending: 0, conflicts: [], lastSyncedAt: state.lastSyncedAt, error: null };
+        let running = null;
+        let again = false;
+        let pushTimer = null;
+        let retryTimer = null;
+        let unsubscribe = null;
+        let applying = false;
+
+        function allRecords() {
+            return store.getTopics().concat(store.getTrash());
+        }
+
+        function saveState() {
+            storage.setItem(STATE_KEY, JSON.stringify(state));
+        }
+
+        function setStatus(changes) {
+            status = {
+                ...status,
+                pending: settings.enabled ? pendingChanges(allRecords(), state).length : 0,
+                conflicts: state.conflicts.slice(),
+                lastSyncedAt: state.lastSyncedAt,
+                ...changes
+            };
+            if (!settings.enabled) status.state = 'off';
+            else if (status.state === 'idle' && status.conflicts.length) status.state = 'conflict';
+            onStatus(getStatus());
+        }
+
+        function getStatus() {
+            return { ...status, conflicts: status.conflicts.slice() };
+        }
+
+        async function request(method, path, body) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (settings.token) headers.Authorization = `Bearer ${settings.token}`;
+            const response = await fetchImpl(settings.endpoint + path, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+            const data = await response.json().catch(() => ({}));
+            if (response.status === 409) return { conflict: data.current };
+            if (!response.ok) {
+                throw Object.assign(new Error(data.error || `Server answered ${response.status}`), { server: true });
+            }
+            return data;
+        }
+
+        function addConflict(id, remote) {
+            state.conflicts = state.conflicts.filter(conflict => conflict.id !== id).concat([{ id, remote }]);
+        }
+
+        // Not a local change, so it must not schedule a push
+        function applyFromServer(changes) {
+            applying = true;
+            try {
+                store.applyRemote(changes);
+            } finally {
+                applying = false;
+            }
+        }
+
+        // PULL: take what changed on the server since the cursor
+        async function pull() {
+            // Another tab may have synced since: start from what it saved
+            state = loadState(settings.endpoint, storage);
+            const data = await request('GET', `/topics?since=${state.cursor}`);
+            const local = new Map(allRecords().map(topic => [topic.id, topic]));
+            const upserts = [];
+            const removed = [];
+            data.records.forEach(record => {
+                const id = Number(record.id);
+                const synced = state.synced[id];
+                if (synced && synced.revision === record.revision) return;
+                const ours = local.get(id);
+                const pending = ours ? !synced || synced.updatedAt !== ours.updatedAt : Boolean(synced && synced.updatedAt !== null);
+                const theirs = record.topic;
+
+                if (!pending || (ours && theirs && sameContent(ours, theirs)) || (!ours && !theirs)) {
+                    if (!pending && theirs) upserts.push(theirs);
+                    if (!pending && !theirs && ours) removed.push(id);
+                    state.synced[id] = { revision: record.revision, updatedAt: theirs ? (ours && pending ? ours.updatedAt : theirs.updatedAt) : null };
+                    return;
+                }
+                addConflict(id, record);
+            });
+            state.cursor = data.revision;
+            applyFromServer({ upserts, removed });
+        }
+
+        // PUSH: send local changes, each against the revision it was based on
+        async function push() {
+            for (const change of pendingChanges(allRecords(), state)) {
+                const synced = state.synced[change.id];
+                const base = synced ? synced.revision : 0;
+                const result = change.topic
+                    ? await request('PUT', `/topics/${change.id}`, { topic: change.topic, baseRevision: base })
+                    : await request('DELETE', `/topics/${change.id}?baseRevision=${base}`);
+                if (result.conflict) {
+                    const theirs = result.conflict.topic;
+                    if ((change.topic && theirs && sameContent(change.topic, theirs)) || (!change.topic && !theirs)) {
+                        state.synced[change.id] = { revision: result.conflict.revision, updatedAt: change.topic ? change.topic.updatedAt : null };
+                    } else {
+                        addConflict(change.id, result.conflict);
+                    }
+                } else if (change.topic || synced) {
+                    state.synced[change.id] = { revision: result.revision, updatedAt: change.topic ? change.topic.updatedAt : null };
+                }
+                saveState();
+            }
+        }
+
+        /**
+         * Pull, then push. Calls made while one runs are merged into one more round.
+         * @returns {Promise} - Resolves to getStatus()
+         */
+        function syncNow() {
+            if (!settings.enabled || !fetchImpl) return Promise.resolve(getStatus());
+            if (running) {
+                again = true;
+                return running;
+            }
+            if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+                setStatus({ state: 'offline' });
+                return Promise.resolve(getStatus());
+            }
+            setStatus({ state: 'syncing', error: null });
+            running = pull()
+                .then(push)
+                .then(() => {
+                    state.lastSyncedAt = new Date().toISOString();
+                    saveState();
+                    setStatus({ state: 'idle' });
+                })
+                .catch(error => {
+                    saveState();
+                    // fetch() rejects when the server cannot be reached at all
+                    setStatus({ state: error.server ? 'error' : 'offline', error: error.message });
+                })
+                .then(() => {
+                    running = null;
+                    if (!again) return getStatus();
+                    again = false;
+                    return syncNow();
+                });
+            return running;
+        }
+
+        /**
+         * @param {number} id - Conflicting record
+         * @param {string} side - 'local' pushes ours over the server's,
+         *   'remote' replaces ours with the server's
+         */
+        function resolveConflict(id, side) {
+            const conflict = state.conflicts.find(entry => entry.id === Number(id));
+            if (!conflict) return Promise.resolve(getStatus());
+            state.conflicts = state.conflicts.filter(entry => entry !== conflict);
+            if (side === 'remote') {
+                if (conflict.remote.topic) applyFromServer({ upserts: [conflict.remote.topic] });
+                else applyFromServer({ removed: [conflict.id] });
+                const theirs = conflict.remote.topic;
+                state.synced[conflict.id] = { revision: conflict.remote.revision, updatedAt: theirs ? theirs.updatedAt : null };
+            } else {
+                // No updatedAt counts as changed here, so the next push sends
+                // ours (or our deletion) against the server's revision
+                state.synced[conflict.id] = { revision: conflict.remote.revision };
+            }
+            saveState();
+            return syncNow();
+        }
+
+        function schedulePush() {
+            if (applying) return;
+            clearTimeout(pushTimer);
+            pushTimer = setTimeout(syncNow, PUSH_DELAY_MS);
+            setStatus({});
+        }
+
+        function onOnline() {
+            syncNow();
+        }
+
+        /**
+         * Re-read the settings and follow them: sync on every local change,
+         * when the browser comes back online and once a minute
+         */
+        function start() {
+            stop();
+            settings = getSettings(storage);
+            state = loadState(settings.endpoint, storage);
+            setStatus({ state: settings.enabled ? 'idle' : 'off', error: null });
+            if (!settings.enabled) return Promise.resolve(getStatus());
+            unsubscribe = store.subscribe(schedulePush);
+            if (typeof addEventListener !== 'undefined') addEventListener('online', onOnline);
+            retryTimer = setInterval(syncNow, RETRY_MS);
+            return syncNow();
+        }
+
+        function stop() {
+            clearTimeout(pushTimer);
+            clearInterval(retryTimer);
+            if (unsubscribe) unsubscribe();
+            unsubscribe = null;
+            if (typeof removeEventListener !== 'undefined') removeEventListener('online', onOnline);
+        }
+
+        return { start, stop, syncNow, getStatus, resolveConflict };
+    }
+
+    return {
+        SETTINGS_KEY,
+        STATE_KEY,
+        getSettings,
+        saveSettings,
+        pendingChanges,
+        createRemoteSync
+    };
+});
@@ -0,0 +1,209 @@
+// ===========================================
+// MASTERY OS - STUDY SESSIONS
+// ===========================================
+//
+// Time actually spent on a topic. A running timer lives on the topic as
+// `activeSession` so every open tracker page sees it; stopping it appends an
+// entry to `sessions`. Past sessions can also be logged by hand.
+//
+// The helpers that change a topic return a patch for store.updateTopic():
+//
+//   store.updateTopic(topic.id, sessions.startSession({ pomodoro: true }));
+//   store.updateTopic(topic.id, sessions.stopSession(topic, 'Chapter 3'));
+//
+// Weeks start on Monday, local time. A session counts towards the week it
+// started in.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.sessions = factory(root.MasteryOS.topics);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model) {
+    'use strict';
+
+    const MINUTE = 60 * 1000;
+    const POMODORO = { work: 25, rest: 5 };
+
+    // RUNNING TIMER
+    /**
+     * @param {Object} [options]
+     * @param {boolean|Object} [options.pomodoro] - true for 25/5 minute
+     *   intervals, or { work, rest } in minutes
+     * @param {number} [now] - Timestamp, defaults to the current time
+     * @returns {Object} - Patch that starts the timer
+     */
+    function startSession(options = {}, now = Date.now()) {
+        const pomodoro = options.pomodoro
+            ? { ...POMODORO, ...(typeof options.pomodoro === 'object' ? options.pomodoro : {}) }
+            : null;
+        return { activeSession: { start: new Date(now).toISOString(), pomodoro } };
+    }
+
+    function elapsedMs(active, now = Date.now()) {
+        return Math.max(0, now - Date.parse(active.start));
+    }
+
+    // Elapsed time minus the Pomodoro breaks
+    function focusMs(active, now = Date.now()) {
+        const elapsed = elapsedMs(active, now);
+        if (!active.pomodoro) return elapsed;
+        const work = active.pomodoro.work * MINUTE;
+        const cycle = work + active.pomodoro.rest * MINUTE;
+        return Math.floor(elapsed / cycle) * work + Math.min(elapsed % cycle, work);
+    }
+
+    /**
+     * Where a Pomodoro timer currently is
+     * @returns {Object|null} - { phase: 'work' | 'rest', round, remainingMs },
+     *   null for a plain timer
+     */
+    function pomodoroPhase(active, now = Date.now()) {
+        if (!active || !active.pomodoro) return null;
+        const work = active.pomodoro.work * MINUTE;
+        const cycle = work + active.pomodoro.rest * MINUTE;
+        const elapsed = elapsedMs(active, now);
+        const into = elapsed % cycle;
+        return into < work
+            ? { phase: 'work', round: Math.floor(elapsed / cycle) + 1, remainingMs: work - into }
+            : { phase: 'rest', round: Math.floor(elapsed / cycle) + 1, remainingMs: cycle - into };
+    }
+
+    /**
+     * Stop the running timer and log what it measured. Sessions shorter
+     * than a minute are dropped.
+     * @param {Object} topic - Topic with an activeSession
+     * @param {string} [note] - What was studied
+     * @returns {Object} - Patch for store.updateTopic()
+     */
+    function stopSession(topic, note = '', now = Date.now()) {
+        const active = topic.activeSession;
+        if (!active) return {};
+        const duration = Math.round(focusMs(active, now) / MINUTE);
+        if (duration < 1) return { activeSession: null };
+
+        const session = {
+            id: model.generateId(topic.sessions || []),
+            start: active.start,
+            end: new Date(now).toISOString(),
+            duration,
+            note
+        };
+        return { activeSession: null, sessions: [...(topic.sessions || []), session] };
+    }
+
+    function findActive(topics) {
+        return topics.find(topic => topic.activeSession) || null;
+    }
+
+    // MANUAL ENTRIES
+    /**
+     * Log a past session
+     * @param {Object} topic - Topic to log against
+     * @param {Object} entry - { start, duration (minutes), note }; start may be
+     *   a datetime-local value ("2024-03-01T18:30"), read as local time
+     * @returns {Object} - Patch for store.updateTopic()
+     */
+    function logSession(topic, entry) {
+        const start = Date.parse(entry.start);
+        const duration = Math.round(Number(entry.duration));
+        if (isNaN(start)) throw new Error('Session start time is missing or invalid');
+        if (!(duration > 0)) throw new Error('Session duration must be a positive number of minutes');
+
+        const session = {
+            id: model.generateId(topic.sessions || []),
+            start: new Date(start).toISOString(),
+            end: new Date(start + duration * MINUTE).toISOString(),
+            duration,
+            note: entry.note || ''
+        };
+        return { sessions: [...(topic.sessions || []), session] };
+    }
+
+    function removeSession(topic, sessionId) {
+        return { sessions: (topic.sessions || []).filter(session => !model.sameId(session.id, sessionId)) };
+    }
+
+    // TOTALS
+    function startOfWeek(now = Date.now()) {
+        const date = new Date(now);
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+        return date;
+    }
+
+    function minutesBetween(topic, from, to) {
+        return (topic.sessions || [])
+            .filter(session => {
+                const start = Date.parse(session.start);
+                return start >= from && start < to;
+            })
+            .reduce((sum, session) => sum + session.duration, 0);
+    }
+
+    function totalMinutes(topic) {
+        return (topic.sessions || []).reduce((sum, session) => sum + session.duration, 0);
+    }
+
+    // Next Monday by the calendar: a DST week is an hour longer or shorter
+    function weekMinutes(topic, now = Date.now()) {
+        const from = startOfWeek(now);
+        const to = new Date(from);
+        to.setDate(to.getDate() + 7);
+        return minutesBetween(topic, from.getTime(), to.getTime());
+    }
+
+    /**
+     * @param {Array} topics - Topics to add up
+     * @returns {Object} - { totalMinutes, weekMinutes } of logged time
+     */
+    function summarize(topics, now = Date.now()) {
+        return topics.reduce((sum, topic) => ({
+            totalMinutes: sum.totalMinutes + totalMinutes(topic),
+            weekMinutes: sum.weekMinutes + weekMinutes(topic, now)
+        }), { totalMinutes: 0, weekMinutes: 0 });
+    }
+
+    // FORMATTING
+    function formatHours(minutes) {
+        return `${(minutes / 60).toFixed(1)}h`;
+    }
+
+    function formatDuration(minutes) {
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        if (!hours) return `${rest}m`;
+        return `${hours}h ${String(rest).padStart(2, '0')}m`;
+    }
+
+    // 4:05 / 1:02:09
+    function formatClock(ms) {
+        const seconds = Math.floor(ms / 1000);
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = String(seconds % 60).padStart(2, '0');
+        return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+    }
+
+    return {
+        POMODORO,
+        startSession,
+        stopSession,
+        elapsedMs,
+        focusMs,
+        pomodoroPhase,
+        findActive,
+        logSession,
+        removeSession,
+        startOfWeek,
+        minutesBetween,
+        totalMinutes,
+        weekMinutes,
+        summarize,
+        formatHours,
+        formatDuration,
+        formatClock
+    };
+});
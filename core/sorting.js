@@ -0,0 +1,151 @@
+// ===========================================
+// MASTERY OS - SORTING AND GROUPING
+// ===========================================
+//
+// How a list view orders and groups its topics:
+//
+//   { sort: [{ key: 'priority', dir: 'desc' }, { key: 'endDate', dir: 'asc' }],
+//     group: 'status',           // none | status | priority | category | tag
+//     collapsed: ['completed'] } // group keys folded away
+//
+// Later sort keys break ties left by earlier ones; topics still equal keep
+// newest first. Topics without a target date sort after the rest in either
+// direction. Grouping by tag lists a topic under each of its tags.
+//
+// Settings are saved per view (e.g. 'list', 'trash') under SETTINGS_KEY.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./board'), require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.sorting = factory(root.MasteryOS.topics, root.MasteryOS.board, root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, board, workspaces) {
+    'use strict';
+
+    const SETTINGS_KEY = 'mastery_os_view_settings';
+    const MAX_SORT_KEYS = 3;
+    const DEFAULT_SETTINGS = { sort: [{ key: 'created', dir: 'desc' }], group: 'none', collapsed: [] };
+
+    // Each compare() sorts ascending; `dir` defaults to the natural reading order
+    const SORT_KEYS = {
+        created: { label: 'Created', dir: 'desc', compare: (a, b) => a.id - b.id },
+        priority: { label: 'Priority', dir: 'desc', compare: (a, b) => model.PRIORITIES.indexOf(a.priority) - model.PRIORITIES.indexOf(b.priority) },
+        endDate: { label: 'Target date', dir: 'asc', compare: (a, b) => a.endDate.localeCompare(b.endDate) },
+        progress: { label: 'Progress', dir: 'desc', compare: (a, b) => model.getProgress(a) - model.getProgress(b) },
+        title: { label: 'Title', dir: 'asc', compare: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true }) },
+        updated: { label: 'Last updated', dir: 'desc', compare: (a, b) => (Date.parse(a.updatedAt) || 0) - (Date.parse(b.updatedAt) || 0) },
+        manual: { label: 'Manual order', dir: 'asc', compare: board.compareCards }
+    };
+
+    const GROUPS = ['none', 'status', 'priority', 'category', 'tag'];
+
+    // SORTING
+    function compareBy(a, b, { key, dir }) {
+        if (key === 'endDate' && Boolean(a.endDate) !== Boolean(b.endDate)) return a.endDate ? -1 : 1;
+        const result = SORT_KEYS[key].compare(a, b);
+        return dir === 'desc' ? -result : result;
+    }
+
+    /**
+     * @param {Array} topics - Topics to order (not changed)
+     * @param {Array} sort - [{ key, dir }], most important first
+     * @returns {Array} - A sorted copy
+     */
+    function sortTopics(topics, sort) {
+        const keys = (sort || []).filter(entry => SORT_KEYS[entry.key]);
+        return topics.slice().sort((a, b) => {
+            for (const entry of keys) {
+                const result = compareBy(a, b, entry);
+                if (result) return result;
+            }
+            return b.id - a.id;
+        });
+    }
+
+    // GROUPING
+    function groupKeysOf(topic, group) {
+        if (group === 'tag') return topic.tags && topic.tags.length ? topic.tags : [''];
+        return [topic[group] || ''];
+    }
+
+    // Statuses and priorities in their own order, the rest alphabetically; the empty group last
+    function compareGroups(group) {
+        return (a, b) => {
+            if (!a.key || !b.key) return !a.key - !b.key;
+            if (group === 'status') return model.STATUSES.indexOf(a.key) - model.STATUSES.indexOf(b.key);
+            if (group === 'priority') return model.PRIORITIES.indexOf(b.key) - model.PRIORITIES.indexOf(a.key);
+            return a.label.localeCompare(b.label, undefined, { sensitivity: 'base' });
+        };
+    }
+
+    /**
+     * @param {Array} topics - Topics in display order
+     * @param {string} group - One of GROUPS
+     * @returns {Array} - [{ key, label, topics }]; key '' is the group of topics
+     *   without a category or tag. 'none' gives one group holding everything.
+     */
+    function groupTopics(topics, group) {
+        if (!GROUPS.includes(group) || group === 'none') return [{ key: '', label: '', topics: topics.slice() }];
+        const groups = new Map();
+        topics.forEach(topic => {
+            groupKeysOf(topic, group).forEach(value => {
+                // Tags and categories differing only in case share a group
+                const key = group === 'tag' || group === 'category' ? value.toLowerCase() : value;
+                if (!groups.has(key)) groups.set(key, { key, label: value, topics: [] });
+                groups.get(key).topics.push(topic);
+            });
+        });
+        return Array.from(groups.values()).sort(compareGroups(group));
+    }
+
+    // SETTINGS
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    function readAll(storage) {
+        try {
+            const stored = JSON.parse((storage && storage.getItem(SETTINGS_KEY)) || '{}');
+            return stored && typeof stored === 'object' ? stored : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    function normalizeSettings(settings) {
+        const source = settings && typeof settings === 'object' ? settings : {};
+        const sort = (Array.isArray(source.sort) ? source.sort : [])
+            .filter(entry => entry && SORT_KEYS[entry.key])
+            .map(entry => ({ key: entry.key, dir: entry.dir === 'asc' || entry.dir === 'desc' ? entry.dir : SORT_KEYS[entry.key].dir }))
+            .slice(0, MAX_SORT_KEYS);
+        return {
+            sort: sort.length ? sort : DEFAULT_SETTINGS.sort.slice(),
+            group: GROUPS.includes(source.group) ? source.group : DEFAULT_SETTINGS.group,
+            collapsed: Array.isArray(source.collapsed) ? source.collapsed.map(String) : []
+        };
+    }
+
+    function getViewSettings(view, storage = defaultStorage()) {
+        return normalizeSettings(readAll(storage)[view]);
+    }
+
+    function saveViewSettings(view, settings, storage = defaultStorage()) {
+        const all = readAll(storage);
+        all[view] = normalizeSettings(settings);
+        storage.setItem(SETTINGS_KEY, JSON.stringify(all));
+        return all[view];
+    }
+
+    return {
+        SETTINGS_KEY,
+        MAX_SORT_KEYS,
+        SORT_KEYS,
+        GROUPS,
+        sortTopics,
+        groupTopics,
+        getViewSettings,
+        saveViewSettings
+    };
+});
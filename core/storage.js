@@ -0,0 +1,297 @@
+// ===========================================
+// MASTERY OS - STORAGE BACKENDS
+// ===========================================
+//
+// The store talks to a backend through a small adapter interface. Every
+// method returns a Promise; `state` is the store's full { topics, unmigrated }
+// so backends without per-record writes can simply rewrite everything.
+//
+//   adapter.name                      'localStorage' | 'indexedDB'
+//   adapter.load()                    -> { topics, unmigrated, report }
+//   adapter.saveAll(state)            replace everything (import, restore)
+//   adapter.putTopic(topic, state)    create or update one record
+//   adapter.deleteTopic(id, state)    remove one record
+//   adapter.loadActivity()            -> activity log entries (core/history.js)
+//   adapter.saveActivity(entries)     replace the activity log
+//
+// The activity methods are optional; without them the log lives in memory.
+//
+// localStorage stays the default. IndexedDB has no ~5MB quota and writes one
+// record per edit instead of re-serialising the whole list.
+//
+// putTopic/deleteTopic must leave other records as they are in storage, not
+// as this page last saw them: another tab may have changed them since.
+//
+// Keys and the database name belong to the active workspace unless options
+// say otherwise; createWorkspaceAdapter() reaches the data of any other.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./migrations'), require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.storage = factory(root.MasteryOS.topics, root.MasteryOS.migrations, root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, migrations, workspaces) {
+    'use strict';
+
+    const BACKENDS = ['localStorage', 'indexedDB'];
+    const BACKEND_KEY = 'mastery_os_backend';
+    const DB_NAME = 'mastery_os';
+    const DB_VERSION = 1;
+
+    // The active workspace's keys (core/workspaces.js)
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    // LOCALSTORAGE BACKEND
+    function createLocalStorageAdapter(options = {}) {
+        const key = options.key || migrations.STORAGE_KEY;
+        const storage = options.storage || defaultStorage();
+        const activityKey = `${key}_activity`;
+
+        async function write(state) {
+            storage.setItem(key, JSON.stringify(migrations.wrap(state.topics, state.unmigrated)));
+        }
+
+        // Rewrites only this record in what is stored now, so another tab's
+        // edits to other records survive. `topic` null removes the record.
+        async function writeRecord(id, topic, state) {
+            let stored = null;
+            try {
+                stored = JSON.parse(storage.getItem(key));
+            } catch (error) {
+                stored = null;
+            }
+            if (!stored || stored.schemaVersion !== migrations.SCHEMA_VERSION || !Array.isArray(stored.topics)) return write(state);
+
+            const records = stored.topics.slice();
+            const index = records.findIndex(record => model.sameId(record.id, id));
+            if (topic && index !== -1) records[index] = topic;
+            else if (topic) records.unshift(topic);
+            else if (index !== -1) records.splice(index, 1);
+            storage.setItem(key, JSON.stringify(migrations.wrap(records, state.unmigrated)));
+        }
+
+        async function loadActivity() {
+            const entries = JSON.parse(storage.getItem(activityKey) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        }
+
+        return {
+            name: 'localStorage',
+            load: async () => migrations.loadAndMigrate(storage, key),
+            saveAll: write,
+            putTopic: (topic, state) => writeRecord(topic.id, topic, state),
+            deleteTopic: (id, state) => writeRecord(id, null, state),
+            loadActivity,
+            saveActivity: async entries => storage.setItem(activityKey, JSON.stringify(entries))
+        };
+    }
+
+    // INDEXEDDB BACKEND
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    function openDatabase(name) {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(name, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('topics')) db.createObjectStore('topics', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta');
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+
+    function isIndexedDBAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Database name, defaults to the active workspace's
+     * @param {Storage} [options.storage] - localStorage to seed from on first use
+     * @param {string} [options.key] - Envelope key to seed from
+     */
+    function createIndexedDBAdapter(options = {}) {
+        const name = options.name || workspaces.scopeKey(DB_NAME);
+        const seedStorage = options.storage || defaultStorage();
+        const seedKey = options.key || migrations.STORAGE_KEY;
+        let dbPromise = null;
+
+        function db() {
+            if (!dbPromise) dbPromise = openDatabase(name);
+            return dbPromise;
+        }
+
+        function writeMeta(tx, unmigrated) {
+            tx.objectStore('meta').put({ schemaVersion: migrations.SCHEMA_VERSION, unmigrated }, 'schema');
+        }
+
+        async function saveAll(state) {
+            const tx = (await db()).transaction(['topics', 'meta'], 'readwrite');
+            const topicStore = tx.objectStore('topics');
+            topicStore.clear();
+            state.topics.forEach(topic => topicStore.put(topic));
+            writeMeta(tx, state.unmigrated);
+            return transactionDone(tx);
+        }
+
+        async function putTopic(topic) {
+            const tx = (await db()).transaction('topics', 'readwrite');
+            tx.objectStore('topics').put(topic);
+            return transactionDone(tx);
+        }
+
+        async function deleteTopic(id) {
+            const tx = (await db()).transaction('topics', 'readwrite');
+            tx.objectStore('topics').delete(Number(id));
+            return transactionDone(tx);
+        }
+
+        async function load() {
+            const tx = (await db()).transaction(['topics', 'meta'], 'readonly');
+            const [meta, records] = await Promise.all([
+                request(tx.objectStore('meta').get('schema')),
+                request(tx.objectStore('topics').getAll())
+            ]);
+
+            // First use: take over whatever localStorage holds, legacy keys included
+            if (!meta) {
+                const seeded = seedStorage
+                    ? migrations.loadAndMigrate(seedStorage, seedKey)
+                    : { topics: [], unmigrated: [], report: null };
+                await saveAll(seeded);
+                return seeded;
+            }
+
+            // Keys sort ascending; the store keeps newest first
+            records.sort((a, b) => b.id - a.id);
+            const unmigrated = meta.unmigrated || [];
+
+            if (meta.schemaVersion >= migrations.SCHEMA_VERSION) {
+                return { topics: records.map(model.normalizeTopic), unmigrated, report: null };
+            }
+
+            const backupTx = (await db()).transaction('meta', 'readwrite');
+            backupTx.objectStore('meta').put({
+                takenAt: new Date().toISOString(),
+                toVersion: migrations.SCHEMA_VERSION,
+                data: { [name]: records }
+            }, migrations.BACKUP_KEY);
+            await transactionDone(backupTx);
+
+            const result = migrations.migrateRecords(records, meta.schemaVersion, name);
+            const state = { topics: result.topics, unmigrated: unmigrated.concat(result.failed) };
+            await saveAll(state);
+            return {
+                ...state,
+                report: migrations.createReport({
+                    fromVersions: [meta.schemaVersion],
+                    sources: [name],
+                    topics: result.topics,
+                    failed: result.failed,
+                    backupKey: `${name}/meta/${migrations.BACKUP_KEY}`
+                })
+            };
+        }
+
+        async function loadActivity() {
+            const tx = (await db()).transaction('meta', 'readonly');
+            return (await request(tx.objectStore('meta').get('activity'))) || [];
+        }
+
+        async function saveActivity(entries) {
+            const tx = (await db()).transaction('meta', 'readwrite');
+            tx.objectStore('meta').put(entries, 'activity');
+            return transactionDone(tx);
+        }
+
+        return { name: 'indexedDB', load, saveAll, putTopic, deleteTopic, loadActivity, saveActivity };
+    }
+
+    // BACKEND SELECTION
+    function getPreferredBackend(storage = defaultStorage()) {
+        const stored = storage && storage.getItem(BACKEND_KEY);
+        if (stored === 'indexedDB' && !isIndexedDBAvailable()) return 'localStorage';
+        return BACKENDS.includes(stored) ? stored : 'localStorage';
+    }
+
+    function setPreferredBackend(backend, storage = defaultStorage()) {
+        if (!BACKENDS.includes(backend)) throw new Error(`Unknown storage backend: ${backend}`);
+        storage.setItem(BACKEND_KEY, backend);
+    }
+
+    function createAdapter(backend = getPreferredBackend(), options = {}) {
+        return backend === 'indexedDB'
+            ? createIndexedDBAdapter(options)
+            : createLocalStorageAdapter(options);
+    }
+
+    // OTHER WORKSPACES
+    function browserStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    /**
+     * The adapter a page opened on workspace `id` would use
+     * @param {string} id - Workspace (core/workspaces.js)
+     * @param {Storage} [storage] - Unscoped localStorage
+     */
+    function createWorkspaceAdapter(id, storage = browserStorage()) {
+        const scoped = workspaces.scopeStorage(storage, id);
+        return createAdapter(getPreferredBackend(scoped), { storage: scoped, name: workspaces.scopeKey(DB_NAME, id) });
+    }
+
+    // Topics, trash and activity log; workspaces.duplicate() copies the settings
+    async function copyWorkspaceData(fromId, toId, storage = browserStorage()) {
+        const from = createWorkspaceAdapter(fromId, storage);
+        const to = createWorkspaceAdapter(toId, storage);
+        const state = await from.load();
+        await to.saveAll(state);
+        if (from.loadActivity && to.saveActivity) await to.saveActivity(await from.loadActivity());
+    }
+
+    // The IndexedDB database of a workspace being deleted; its localStorage
+    // keys go with workspaces.remove(). A tab that still has the workspace
+    // open blocks the delete, so give up rather than wait for it.
+    function deleteWorkspaceData(id) {
+        if (!isIndexedDBAvailable()) return Promise.resolve();
+        const req = indexedDB.deleteDatabase(workspaces.scopeKey(DB_NAME, id));
+        const blocked = new Promise((resolve, reject) => {
+            req.onblocked = () => reject(new Error('The workspace is still open in another tab. Close that tab and try again.'));
+        });
+        return Promise.race([request(req), blocked]);
+    }
+
+    return {
+        BACKENDS,
+        BACKEND_KEY,
+        isIndexedDBAvailable,
+        createLocalStorageAdapter,
+        createIndexedDBAdapter,
+        getPreferredBackend,
+        setPreferredBackend,
+        createAdapter,
+        createWorkspaceAdapter,
+        copyWorkspaceData,
+        deleteWorkspaceData
+    };
+});
@@ -0,0 +1,678 @@
+// ===========================================
+// MASTERY OS - SHARED TOPIC STORE
+// ===========================================
+//
+// Holds the topic list for a page, persists it through a storage backend
+// (core/storage.js) shared by every tracker variant and tells subscribers
+// when it changes. Stored data is versioned; core/migrations.js upgrades it
+// on load.
+//
+// Reads and edits are synchronous against the in-memory list; the backend
+// write happens in the background and failures go to onSaveError.
+//
+// Creates and updates also append to the topic's own status/progress
+// history (`transitions`, see core/topics.js) that the analytics read.
+//
+// Every create/update/delete/replace is recorded (core/history.js): undo()
+// and redo() step through this page's operations, and getActivity() returns
+// the persisted log of all of them.
+//
+// deleteTopic() moves a topic to the trash (core/trash.js). Trashed topics
+// are saved with the rest but left out of getTopics() and subscriber
+// updates; restoreTopics() brings them back and purgeTopics() removes them.
+//
+// With a `sync` channel (core/sync.js) the store announces each write to
+// the other open tabs and re-reads storage when they announce theirs;
+// onRemoteChange then lists the records that changed. Undo steps touching
+// those records are dropped, so undo never reverts another tab's edit.
+// applyRemote() does the same for records pulled from a sync server.
+//
+//   const store = MasteryOS.store.createStore({ onSaveError: () => alert('...') });
+//   store.subscribe(render);
+//   await store.load();
+//   store.createTopic({ title: 'Docker' });
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(
+            require('./topics'), require('./storage'), require('./graph'), require('./history'), require('./trash')
+        );
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.store = factory(
+            root.MasteryOS.topics, root.MasteryOS.storage, root.MasteryOS.graph, root.MasteryOS.history, root.MasteryOS.trash
+        );
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, backends, graph, history, trashBin) {
+    'use strict';
+
+    /**
+     * @param {Object} options
+     * @param {Object} [options.adapter] - Storage backend, defaults to the one chosen in settings
+     * @param {Function} [options.onLoadError] - Called with the error when stored data is unreadable
+     * @param {Function} [options.onSaveError] - Called with the error when writing fails (quota, private mode)
+     * @param {Function} [options.onMigrate] - Called with the migration report after older data was upgraded
+     * @param {number} [options.retentionDays] - Purge trashed topics older than this on load, 0 to keep them
+     * @param {Object} [options.sync] - Tab sync channel from core/sync.js
+     * @param {Function} [options.onRemoteChange] - Called with { changed, removed } ids after another tab's edits were read
+     */
+    function createStore(options = {}) {
+        const adapter = options.adapter || backends.createAdapter();
+        const onLoadError = options.onLoadError || (() => {});
+        const onSaveError = options.onSaveError || (() => {});
+        const onMigrate = options.onMigrate || (() => {});
+        const retentionDays = options.retentionDays !== undefined ? options.retentionDays : trashBin.getRetentionDays();
+        const sync = options.sync || null;
+        const onRemoteChange = options.onRemoteChange || (() => {});
+        const listeners = new Set();
+        let topics = [];
+        let trash = [];
+        let unmigrated = [];
+        let activity = [];
+        let undoStack = [];
+        let redoStack = [];
+        let loaded = false;
+        let localRevision = 0;
+        let refreshing = null;
+        let refreshAgain = false;
+
+        function notify() {
+            const snapshot = topics.slice();
+            listeners.forEach(listener => listener(snapshot));
+        }
+
+        // Backends store live and trashed topics together
+        function state() {
+            return { topics: topics.concat(trash), unmigrated: unmigrated.slice() };
+        }
+
+        // Resolves to false instead of rejecting, after reporting the error
+        function persist(write) {
+            localRevision++;
+            return write
+                .then(() => {
+                    if (sync) sync.announce();
+                    return true;
+                })
+                .catch(error => {
+                    console.error('Error saving topics:', error);
+                    onSaveError(error);
+                    return false;
+                });
+        }
+
+        function save() {
+            return persist(adapter.saveAll(state()));
+        }
+
+        // LOADING
+        async function load() {
+            let report = null;
+            try {
+                const loaded = await adapter.load();
+                ({ topics, trash } = trashBin.partition(loaded.topics));
+                unmigrated = loaded.unmigrated;
+                report = loaded.report;
+            } catch (error) {
+                console.error('Error loading topics:', error);
+                topics = [];
+                trash = [];
+                onLoadError(error);
+            }
+            try {
+                activity = adapter.loadActivity ? await adapter.loadActivity() : [];
+            } catch (error) {
+                console.error('Error loading activity log:', error);
+                activity = [];
+            }
+            undoStack = [];
+            redoStack = [];
+            loaded = true;
+            purgeExpired(retentionDays);
+            notify();
+            if (report) onMigrate(report);
+            return topics.slice();
+        }
+
+        // SYNC
+        function operationIds(operation) {
+            if (operation.type === 'batch') return [].concat(...operation.operations.map(operationIds));
+            if (operation.type === 'import') return null;
+            return [(operation.after || operation.before).id];
+        }
+
+        function touches(operation, ids) {
+            const touched = operationIds(operation);
+            return !touched || touched.some(id => ids.includes(id));
+        }
+
+        async function readStorage() {
+            const revision = localRevision;
+            const result = await adapter.load();
+            const entries = adapter.loadActivity ? await adapter.loadActivity() : activity;
+            // An edit made here meanwhile is not in what was read; read again
+            return revision === localRevision ? { ...result, activity: entries } : readStorage();
+        }
+
+        /**
+         * Re-read storage after another tab wrote to it. Called by the sync
+         * channel; overlapping calls are merged into one more read.
+         * @returns {Promise} - { changed, removed } ids; changed covers new
+         *   records too, removed covers trashed and purged ones
+         */
+        function refresh() {
+            if (refreshing) {
+                refreshAgain = true;
+                return refreshing;
+            }
+            refreshing = readStorage().then(result => {
+                const before = new Map(topics.concat(trash).map(topic => [topic.id, topic]));
+                const wasLive = new Set(topics.map(topic => topic.id));
+                ({ topics, trash } = trashBin.partition(result.topics));
+                unmigrated = result.unmigrated;
+                activity = result.activity;
+
+                const changed = topics
+                    .filter(topic => !before.has(topic.id) || JSON.stringify(before.get(topic.id)) !== JSON.stringify(topic))
+                    .map(topic => topic.id);
+                const live = new Set(topics.map(topic => topic.id));
+                const removed = Array.from(wasLive).filter(id => !live.has(id));
+                const changedTrash = trash
+                    .filter(topic => JSON.stringify(before.get(topic.id)) !== JSON.stringify(topic))
+                    .map(topic => topic.id);
+                const touched = changed.concat(removed, changedTrash);
+                if (touched.length) {
+                    undoStack = undoStack.filter(operation => !touches(operation, touched));
+                    redoStack = redoStack.filter(operation => !touches(operation, touched));
+                    notify();
+                    onRemoteChange({ changed, removed });
+                }
+                return { changed, removed };
+            }).catch(error => {
+                console.error('Error reading changes from another tab:', error);
+                return { changed: [], removed: [] };
+            }).then(changes => {
+                refreshing = null;
+                if (!refreshAgain) return changes;
+                refreshAgain = false;
+                return refresh();
+            });
+            return refreshing;
+        }
+
+        /**
+         * Put records from a sync server (core/remote.js) in place, as they
+         * are: not an undo step and not logged. Saved per record, so other
+         * tabs pick them up like any write.
+         * @param {Object} changes - { upserts: records, removed: ids purged on the server }
+         * @returns {Object} - { changed, removed } ids as for refresh()
+         */
+        function applyRemote({ upserts = [], removed = [] }) {
+            const wasLive = new Set(topics.map(topic => topic.id));
+            const incoming = upserts.map(model.normalizeTopic);
+            const gone = removed.map(Number).filter(id => topics.concat(trash).some(topic => topic.id === id));
+            const touched = incoming.map(topic => topic.id).concat(gone);
+            if (!touched.length) return { changed: [], removed: [] };
+
+            topics = topics.filter(topic => !touched.includes(topic.id));
+            trash = trash.filter(topic => !touched.includes(topic.id));
+            incoming.forEach(topic => {
+                if (trashBin.isTrashed(topic)) {
+                    trash = [topic, ...trash];
+                    return;
+                }
+                // Newest first, like everything else in the list
+                const index = topics.findIndex(other => other.id < topic.id);
+                topics.splice(index === -1 ? topics.length : index, 0, topic);
+            });
+            incoming.forEach(topic => persist(adapter.putTopic(topic, state())));
+            gone.forEach(id => persist(adapter.deleteTopic(id, state())));
+
+            undoStack = undoStack.filter(operation => !touches(operation, touched));
+            redoStack = redoStack.filter(operation => !touches(operation, touched));
+            const changes = {
+                changed: incoming.filter(topic => !trashBin.isTrashed(topic)).map(topic => topic.id),
+                removed: Array.from(wasLive).filter(id => touched.includes(id) && !topics.some(topic => topic.id === id))
+            };
+            notify();
+            onRemoteChange(changes);
+            return changes;
+        }
+
+        if (sync) sync.subscribe(() => {
+            if (loaded) refresh();
+        });
+
+        // READ
+        function getTopics() {
+            return topics.slice();
+        }
+
+        // Records a migration rejected, kept so they can still be exported
+        function getUnmigrated() {
+            return unmigrated.slice();
+        }
+
+        function getTopicById(id) {
+            return topics.find(topic => model.sameId(topic.id, id)) || null;
+        }
+
+        // Most recently deleted first
+        function getTrash() {
+            return trash.slice().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+        }
+
+        // Throws before anything changes when `candidate` would close a prerequisite loop
+        function assertNoCycle(candidateTopics, topicId) {
+            const cycle = graph.findCycle(candidateTopics, topicId);
+            if (!cycle) return;
+            const titles = cycle.map(id => {
+                const topic = candidateTopics.find(t => t.id === id);
+                return topic ? topic.title : id;
+            });
+            throw new Error(`Prerequisite cycle: ${titles.join(' requires ')}`);
+        }
+
+        // HISTORY
+        function log(entry) {
+            activity = history.appendEntry(activity, entry);
+            if (adapter.saveActivity) persist(adapter.saveActivity(activity));
+        }
+
+        // Logs one entry per topic touched and returns one describing the whole operation
+        function logOperation(operation, options) {
+            const parts = operation.type === 'batch' ? operation.operations : [operation];
+            const entries = parts.map(part => history.createEntry(part, options));
+            entries.forEach(log);
+            if (entries.length === 1) return entries[0];
+            return { ...entries[0], topicId: null, title: `${entries.length} topics`, changes: [] };
+        }
+
+        function record(operation) {
+            undoStack = [...undoStack, operation].slice(-history.UNDO_LIMIT);
+            redoStack = [];
+            logOperation(operation);
+        }
+
+        // Puts one side of an operation in place; `version` is the before or
+        // after snapshot of the topic: live, trashed (deletedAt) or null (purged)
+        function placeVersion(id, version, position) {
+            const others = topics.filter(topic => topic.id !== id);
+            const current = topics.findIndex(topic => topic.id === id);
+            const otherTrash = trash.filter(topic => topic.id !== id);
+
+            if (!version) {
+                topics = others;
+                trash = otherTrash;
+                persist(adapter.deleteTopic(id, state()));
+                return;
+            }
+            if (trashBin.isTrashed(version)) {
+                topics = others;
+                trash = [version, ...otherTrash];
+                persist(adapter.putTopic(version, state()));
+                return;
+            }
+
+            const candidate = others.slice();
+            candidate.splice(Math.min(current !== -1 ? current : position || 0, candidate.length), 0, version);
+            assertNoCycle(candidate, id);
+            topics = candidate;
+            trash = otherTrash;
+            persist(adapter.putTopic(version, state()));
+        }
+
+        function applyOperation(operation, side) {
+            if (operation.type === 'import') {
+                ({ topics, trash } = trashBin.partition(operation[side]));
+                save();
+            } else if (operation.type === 'batch') {
+                const parts = side === 'before' ? operation.operations.slice().reverse() : operation.operations;
+                parts.forEach(part => applyOperation(part, side));
+            } else {
+                const id = (operation.after || operation.before).id;
+                placeVersion(id, operation[side], operation.position);
+            }
+        }
+
+        // All or nothing: a batch step that fails (e.g. a prerequisite cycle
+        // that only exists halfway through) puts back the state from before
+        // the first step
+        function applyAtomically(operation, side) {
+            const previous = { topics, trash };
+            try {
+                applyOperation(operation, side);
+            } catch (error) {
+                ({ topics, trash } = previous);
+                save();
+                throw error;
+            }
+        }
+
+        /**
+         * Revert the most recent operation made on this page. Throws, with
+         * nothing changed, when a step would create a prerequisite cycle.
+         * @returns {Object|null} - Activity entry describing the undo, null when nothing to undo
+         */
+        function undo() {
+            const operation = undoStack[undoStack.length - 1];
+            if (!operation) return null;
+            applyAtomically(operation, 'before');
+            undoStack = undoStack.slice(0, -1);
+            redoStack = [...redoStack, operation];
+            const entry = logOperation(operation, { type: 'undo' });
+            notify();
+            return entry;
+        }
+
+        function redo() {
+            const operation = redoStack[redoStack.length - 1];
+            if (!operation) return null;
+            applyAtomically(operation, 'after');
+            redoStack = redoStack.slice(0, -1);
+            undoStack = [...undoStack, operation];
+            const entry = logOperation(operation, { type: 'redo' });
+            notify();
+            return entry;
+        }
+
+        function canUndo() {
+            return undoStack.length > 0;
+        }
+
+        function canRedo() {
+            return redoStack.length > 0;
+        }
+
+        /**
+         * @param {number} [topicId] - Only entries about this topic
+         * @returns {Array} - Activity entries, oldest first
+         */
+        function getActivity(topicId) {
+            return topicId === undefined ? activity.slice() : history.entriesForTopic(activity, topicId);
+        }
+
+        // CRUD OPERATIONS
+        // Status/progress history is kept by the store so every variant records it
+        function withTransition(previous, topic) {
+            return { ...topic, transitions: model.trackTransition(previous, topic, topic.updatedAt) };
+        }
+
+        // An imported record keeps the history it brings; a state that history
+        // does not end with yet (or the change from `previous` when it has
+        // none) is added like any other edit
+        function withImportedTransition(previous, topic) {
+            const last = topic.transitions[topic.transitions.length - 1];
+            const recorded = last && { status: last.status, progress: last.progress, milestones: [], transitions: topic.transitions };
+            return withTransition(recorded || previous, topic);
+        }
+
+        function createTopic(topicData) {
+            const now = new Date().toISOString();
+            const newTopic = withTransition(null, model.normalizeTopic({
+                ...topicData,
+                id: model.generateId(topics.concat(trash)),
+                createdAt: now,
+                updatedAt: now
+            }));
+            assertNoCycle([newTopic, ...topics], newTopic.id);
+            topics = [newTopic, ...topics];
+            record({ type: 'create', before: null, after: newTopic, position: 0 });
+            notify();
+            persist(adapter.putTopic(newTopic, state()));
+            return newTopic;
+        }
+
+        /**
+         * Create several topics as one undo step, e.g. rows from a CSV.
+         * Every record gets a fresh id; prerequisites pointing at other
+         * records of the same batch follow them to their new ids.
+         * @param {Array} records - Records in any variant's shape
+         * @returns {Array} - The created topics
+         */
+        function addTopics(records) {
+            if (!records.length) return [];
+            const now = new Date().toISOString();
+            const taken = topics.concat(trash);
+            const newIds = new Map();
+            const created = records.map(record => {
+                const id = model.generateId(taken);
+                taken.push({ id });
+                if (record.id !== undefined) newIds.set(Number(record.id), id);
+                return { ...record, id };
+            }).map(record => withTransition(null, model.normalizeTopic({
+                ...record,
+                prerequisites: (record.prerequisites || []).map(id => newIds.get(Number(id)) || id),
+                createdAt: record.createdAt || now,
+                updatedAt: now
+            })));
+
+            const candidate = created.concat(topics);
+            created.forEach(topic => assertNoCycle(candidate, topic.id));
+            topics = candidate;
+            const operations = created.map((topic, index) => ({ type: 'create', before: null, after: topic, position: index }));
+            record(operations.length === 1 ? operations[0] : { type: 'batch', operations });
+            notify();
+            save();
+            return created;
+        }
+
+        function updateTopic(id, updatedData) {
+            const index = topics.findIndex(topic => model.sameId(topic.id, id));
+            if (index === -1) return null;
+
+            const updated = withTransition(topics[index], model.normalizeTopic({
+                ...topics[index],
+                ...updatedData,
+                id: topics[index].id,
+                updatedAt: new Date().toISOString()
+            }));
+            const candidate = topics.map((topic, i) => (i === index ? updated : topic));
+            assertNoCycle(candidate, updated.id);
+            record({ type: 'update', before: topics[index], after: updated, position: index });
+            topics = candidate;
+            notify();
+            persist(adapter.putTopic(updated, state()));
+            return updated;
+        }
+
+        /**
+         * Update several topics as one undo step, e.g. renaming a tag
+         * everywhere. Trashed topics are updated too and stay in the trash.
+         * @param {Array} updates - [{ id, data }]; unknown ids are skipped
+         * @returns {Array} - The updated topics
+         */
+        function updateTopics(updates) {
+            const now = new Date().toISOString();
+            const operations = [];
+            updates.forEach(({ id, data }) => {
+                const before = topics.concat(trash).find(topic => model.sameId(topic.id, id));
+                if (!before) return;
+                const after = withTransition(before, model.normalizeTopic({ ...before, ...data, id: before.id, updatedAt: now }));
+                operations.push({ type: 'update', before, after, position: Math.max(topics.indexOf(before), 0) });
+            });
+            if (!operations.length) return [];
+
+            const operation = operations.length === 1 ? operations[0] : { type: 'batch', operations };
+            applyAtomically(operation, 'after');
+            record(operation);
+            notify();
+            return operations.map(op => op.after);
+        }
+
+        // Moves the topic to the trash
+        function deleteTopic(id) {
+            const index = topics.findIndex(topic => model.sameId(topic.id, id));
+            if (index === -1) return false;
+            const target = topics[index];
+            const now = new Date().toISOString();
+            const trashed = { ...target, deletedAt: now, updatedAt: now };
+            topics = topics.filter(topic => topic !== target);
+            trash = [trashed, ...trash];
+            record({ type: 'delete', before: target, after: trashed, position: index });
+            notify();
+            persist(adapter.putTopic(trashed, state()));
+            return true;
+        }
+
+        // TRASH
+        function trashedByIds(ids) {
+            return trash.filter(topic => ids.some(id => model.sameId(topic.id, id)));
+        }
+
+        /**
+         * Move topics from the trash back into the list, as one undo step
+         * @param {Array} ids - Trashed topic ids
+         * @returns {number} - How many were restored
+         */
+        function restoreTopics(ids) {
+            const targets = trashedByIds(ids);
+            if (!targets.length) return 0;
+            const now = new Date().toISOString();
+            const operations = targets.map(target => ({
+                type: 'restore',
+                before: target,
+                after: { ...target, deletedAt: null, updatedAt: now },
+                position: 0
+            }));
+            const operation = operations.length === 1 ? operations[0] : { type: 'batch', operations };
+            applyOperation(operation, 'after');
+            record(operation);
+            notify();
+            return targets.length;
+        }
+
+        /**
+         * Delete trashed topics for good (still undoable until the page is closed)
+         * @param {Array} ids - Trashed topic ids
+         * @returns {number} - How many were purged
+         */
+        function purgeTopics(ids) {
+            const targets = trashedByIds(ids);
+            if (!targets.length) return 0;
+            const operations = targets.map(target => ({ type: 'purge', before: target, after: null }));
+            const operation = operations.length === 1 ? operations[0] : { type: 'batch', operations };
+            applyOperation(operation, 'after');
+            record(operation);
+            notify();
+            return targets.length;
+        }
+
+        function emptyTrash() {
+            return purgeTopics(trash.map(topic => topic.id));
+        }
+
+        /**
+         * Purge what has been in the trash longer than the retention period.
+         * Logged, but not undoable.
+         * @param {number} days - Retention period, 0 keeps everything
+         * @returns {number} - How many were purged
+         */
+        function purgeExpired(days, now = Date.now()) {
+            const expired = trash.filter(topic => trashBin.isExpired(topic, days, now));
+            expired.forEach(target => {
+                const operation = { type: 'purge', before: target, after: null };
+                applyOperation(operation, 'after');
+                logOperation(operation);
+            });
+            if (expired.length) notify();
+            return expired.length;
+        }
+
+        /**
+         * Replace everything, e.g. when restoring a backup. Recorded as an
+         * import, so it can be undone like any other edit. Records carrying
+         * `deletedAt` go to the trash.
+         * @param {Array} records - Records in any variant's shape
+         */
+        function replaceTopics(records) {
+            const before = topics.concat(trash);
+            const after = records.map(model.normalizeTopic);
+            ({ topics, trash } = trashBin.partition(after));
+            record({ type: 'import', before, after });
+            notify();
+            save();
+            return topics.slice();
+        }
+
+        /**
+         * Apply a merge import (see core/merge.js) as one undo step.
+         * Added records keep their id unless it is taken; updates replace
+         * the record with the same id, live or trashed. Throws before
+         * anything changes when the result would hold a prerequisite cycle.
+         * @param {Object} changes - { additions, updates } from merge.resolveMerge()
+         * @returns {Object} - { added, updated } topics
+         */
+        function mergeTopics({ additions = [], updates = [] }) {
+            const existing = topics.concat(trash);
+            const taken = existing.slice();
+            const operations = [];
+
+            updates.map(model.normalizeTopic).forEach(incoming => {
+                const before = existing.find(topic => topic.id === incoming.id);
+                if (!before) return;
+                const after = withImportedTransition(before, incoming);
+                operations.push({ type: 'update', before, after, position: Math.max(topics.indexOf(before), 0) });
+            });
+            additions.forEach((record, index) => {
+                const wanted = Number(record.id);
+                const id = wanted && !taken.some(topic => topic.id === wanted) ? wanted : model.generateId(taken);
+                taken.push({ id });
+                const after = withImportedTransition(null, model.normalizeTopic({ ...record, id }));
+                operations.push({ type: 'create', before: null, after, position: index });
+            });
+            if (!operations.length) return { added: [], updated: [] };
+
+            const changedIds = operations.map(operation => operation.after.id);
+            const candidate = topics
+                .filter(topic => !changedIds.includes(topic.id))
+                .concat(operations.map(operation => operation.after).filter(topic => !trashBin.isTrashed(topic)));
+            changedIds.forEach(id => assertNoCycle(candidate, id));
+
+            const operation = operations.length === 1 ? operations[0] : { type: 'batch', operations };
+            applyAtomically(operation, 'after');
+            record(operation);
+            notify();
+            return {
+                added: operations.filter(op => op.type === 'create').map(op => op.after),
+                updated: operations.filter(op => op.type === 'update').map(op => op.after)
+            };
+        }
+
+        function subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+
+        return {
+            backend: adapter.name,
+            load,
+            refresh,
+            applyRemote,
+            save,
+            getTopics,
+            getUnmigrated,
+            getTopicById,
+            getTrash,
+            createTopic,
+            addTopics,
+            updateTopic,
+            updateTopics,
+            deleteTopic,
+            restoreTopics,
+            purgeTopics,
+            emptyTrash,
+            purgeExpired,
+            replaceTopics,
+            mergeTopics,
+            undo,
+            redo,
+            canUndo,
+            canRedo,
+            getActivity,
+            subscribe
+        };
+    }
+
+    return { createStore };
+});
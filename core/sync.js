@@ -0,0 +1,96 @@
+// ===========================================
+// MASTERY OS - TAB SYNC
+// ===========================================
+//
+// Tells the other open tabs and windows of the tracker that the stored data
+// changed, so their stores can re-read it (store.refresh()). Messages carry
+// no records, only a nudge: storage is the single source of truth.
+//
+// Uses a BroadcastChannel where there is one, otherwise the `storage` event
+// of a ping key in localStorage. A tab never hears its own messages, nor
+// those of tabs open on another workspace (the channel name includes it).
+//
+//   const store = MasteryOS.store.createStore({ sync: MasteryOS.sync.createTabSync() });
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.sync = factory(root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (workspaces) {
+    'use strict';
+
+    const CHANNEL_NAME = 'mastery_os';
+    const PING_KEY = 'mastery_os_sync_ping';
+
+    // Not scoped to a workspace: the messages say which channel they are for
+    function defaultStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Channel name; tabs only hear others using the same one.
+     *   Defaults to one per workspace
+     * @param {Storage} [options.storage] - For the ping key fallback
+     * @param {Object} [options.target] - Where `storage` events arrive, defaults to window
+     * @returns {Object} - { announce(), subscribe(listener) -> unsubscribe, close() }
+     */
+    function createTabSync(options = {}) {
+        const name = options.name || workspaces.scopeKey(CHANNEL_NAME);
+        const storage = options.storage || defaultStorage();
+        const target = options.target || (typeof window !== 'undefined' ? window : null);
+        const listeners = new Set();
+        const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        let channel = null;
+
+        function deliver(message) {
+            if (!message || message.tabId === tabId || message.name !== name) return;
+            listeners.forEach(listener => listener(message));
+        }
+
+        function onStorage(event) {
+            if (event.key !== PING_KEY || !event.newValue) return;
+            try {
+                deliver(JSON.parse(event.newValue));
+            } catch (error) {
+                // Not one of ours
+            }
+        }
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            channel = new BroadcastChannel(name);
+            channel.onmessage = event => deliver(event.data);
+        } else if (target && storage) {
+            target.addEventListener('storage', onStorage);
+        }
+
+        // Call after a write has landed in storage
+        function announce() {
+            const message = { name, tabId, at: Date.now() };
+            if (channel) channel.postMessage(message);
+            else if (storage) storage.setItem(PING_KEY, JSON.stringify(message));
+        }
+
+        function subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+
+        function close() {
+            listeners.clear();
+            if (channel) channel.close();
+            else if (target) target.removeEventListener('storage', onStorage);
+        }
+
+        return { tabId, announce, subscribe, close };
+    }
+
+    return {
+        CHANNEL_NAME,
+        PING_KEY,
+        createTabSync
+    };
+});
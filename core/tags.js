@@ -0,0 +1,165 @@
+// ===========================================
+// MASTERY OS - TAGS
+// ===========================================
+//
+// Topics carry a normalised `tags` list (see normalizeTags in core/topics.js).
+// Tags are compared ignoring case, so "docker" and "Docker" are one tag.
+//
+// The tag manager works on every topic at once: renameTag() and deleteTag()
+// return the `[{ id, data }]` changes store.updateTopics() applies as a
+// single undo step. Renaming onto a tag that already exists merges the two.
+//
+// Colours are a per-workspace preference kept under COLORS_KEY; tags without
+// one get a stable colour from PALETTE picked by their name.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./topics'), require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.tags = factory(root.MasteryOS.topics, root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (model, workspaces) {
+    'use strict';
+
+    const COLORS_KEY = 'mastery_os_tag_colors';
+    const PALETTE = ['#10b981', '#3b82f6', '#8b5cf6', '#ec4899', '#f59e0b', '#ef4444', '#06b6d4', '#84cc16', '#71717a'];
+
+    function keyOf(name) {
+        return String(name || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    // LISTING
+    /**
+     * @param {Array} topics - Topics to count, usually live and trashed
+     * @returns {Array} - [{ name, count }], most used first, then by name
+     */
+    function collectTags(topics) {
+        const counts = new Map();
+        topics.forEach(topic => {
+            (topic.tags || []).forEach(name => {
+                const key = keyOf(name);
+                const entry = counts.get(key) || { name, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            });
+        });
+        return Array.from(counts.values())
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Known tags starting with (then containing) what was typed, for autocomplete
+     * @param {Array} topics - Topics to take tags from
+     * @param {string} text - What the user typed
+     * @param {Array} [exclude] - Tags already chosen
+     * @returns {Array} - Tag names
+     */
+    function suggestTags(topics, text, exclude = []) {
+        const typed = keyOf(text);
+        const chosen = new Set(exclude.map(keyOf));
+        const names = collectTags(topics).map(tag => tag.name).filter(name => !chosen.has(keyOf(name)));
+        if (!typed) return names;
+        return names.filter(name => keyOf(name).startsWith(typed))
+            .concat(names.filter(name => !keyOf(name).startsWith(typed) && keyOf(name).includes(typed)));
+    }
+
+    // BULK CHANGES
+    /**
+     * Rename a tag on every topic carrying it; onto an existing tag this merges them
+     * @param {Array} topics - Topics to change
+     * @param {string} from - Current name, any case
+     * @param {string} to - New name
+     * @returns {Array} - [{ id, data: { tags } }] for store.updateTopics()
+     */
+    function renameTag(topics, from, to) {
+        const name = String(to || '').replace(/\s+/g, ' ').trim();
+        if (!name) throw new Error('A tag needs a name');
+        if (name.includes(',')) throw new Error('Tags cannot contain commas');
+        return topics
+            .filter(topic => model.hasTag(topic, from))
+            .map(topic => ({
+                topic,
+                tags: model.normalizeTags(topic.tags.map(tag => (keyOf(tag) === keyOf(from) ? name : tag)))
+            }))
+            .filter(({ topic, tags }) => tags.join('\n') !== topic.tags.join('\n'))
+            .map(({ topic, tags }) => ({ id: topic.id, data: { tags } }));
+    }
+
+    /**
+     * @param {Array} topics - Topics to change
+     * @param {string} name - Tag to remove, any case
+     * @returns {Array} - [{ id, data: { tags } }] for store.updateTopics()
+     */
+    function deleteTag(topics, name) {
+        return topics
+            .filter(topic => model.hasTag(topic, name))
+            .map(topic => ({ id: topic.id, data: { tags: topic.tags.filter(tag => keyOf(tag) !== keyOf(name)) } }));
+    }
+
+    // COLOURS
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    // Tag names are keys, so the map has no prototype: "constructor" or
+    // "__proto__" are tags like any other
+    function readColors(storage) {
+        const colors = Object.create(null);
+        try {
+            const stored = JSON.parse((storage && storage.getItem(COLORS_KEY)) || '{}');
+            if (stored && typeof stored === 'object') {
+                Object.keys(stored).forEach(key => {
+                    if (typeof stored[key] === 'string') colors[key] = stored[key];
+                });
+            }
+        } catch (error) {
+            // Unreadable settings: every tag gets its default colour
+        }
+        return colors;
+    }
+
+    // Same name, same colour, on every page load
+    function defaultColor(name) {
+        let hash = 0;
+        for (const char of keyOf(name)) hash = (hash * 31 + char.charCodeAt(0)) | 0;
+        return PALETTE[Math.abs(hash) % PALETTE.length];
+    }
+
+    function getTagColor(name, storage = defaultStorage()) {
+        return readColors(storage)[keyOf(name)] || defaultColor(name);
+    }
+
+    /**
+     * @param {string} name - Tag, any case
+     * @param {string|null} color - "#rrggbb", or null to go back to the default
+     */
+    function setTagColor(name, color, storage = defaultStorage()) {
+        if (color && !/^#[0-9a-f]{6}$/i.test(color)) throw new Error(`Invalid colour: ${color}`);
+        const colors = readColors(storage);
+        if (color) colors[keyOf(name)] = color.toLowerCase();
+        else delete colors[keyOf(name)];
+        storage.setItem(COLORS_KEY, JSON.stringify(colors));
+    }
+
+    // A renamed tag keeps its colour, unless it was merged into one that has its own
+    function moveTagColor(from, to, storage = defaultStorage()) {
+        const colors = readColors(storage);
+        const color = colors[keyOf(from)];
+        delete colors[keyOf(from)];
+        if (color && !colors[keyOf(to)]) colors[keyOf(to)] = color;
+        storage.setItem(COLORS_KEY, JSON.stringify(colors));
+    }
+
+    return {
+        COLORS_KEY,
+        PALETTE,
+        collectTags,
+        suggestTags,
+        renameTag,
+        deleteTag,
+        getTagColor,
+        setTagColor,
+        moveTagColor
+    };
+});
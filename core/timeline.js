@@ -0,0 +1,144 @@
+// ===========================================
+// MASTERY OS - TIMELINE
+// ===========================================
+//
+// Date math behind the timeline (Gantt) view. Each topic with a start or
+// end date is a bar from startDate to endDate, both days included; a topic
+// with only one of them is a one-day bar. Unfinished topics past their end
+// date get an overdue tail running up to today.
+//
+// Positions are whole days from the start of the visible range; the page
+// multiplies them by the zoom's dayWidth. All dates are local "YYYY-MM-DD"
+// days (see core/deadlines.js).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./deadlines'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.timeline = factory(root.MasteryOS.deadlines);
+    }
+})(typeof self !== 'undefined' ? self : this, function (deadlines) {
+    'use strict';
+
+    // dayWidth in pixels; ticks label every day, Monday or 1st of the month
+    const ZOOMS = {
+        week: { dayWidth: 36, tick: 'day', padDays: 7 },
+        month: { dayWidth: 12, tick: 'week', padDays: 14 },
+        quarter: { dayWidth: 4, tick: 'month', padDays: 31 }
+    };
+
+    function addDays(date, days) {
+        const next = deadlines.parseLocalDate(date);
+        next.setDate(next.getDate() + days);
+        return deadlines.toDateString(next);
+    }
+
+    // Whole days from `from` to `to`
+    function daysBetween(from, to) {
+        return deadlines.daysUntil(to, deadlines.parseLocalDate(from));
+    }
+
+    // BARS
+    function dayOf(value) {
+        const date = deadlines.parseLocalDate(value);
+        return date ? deadlines.toDateString(date) : null;
+    }
+
+    /**
+     * @param {Object} topic
+     * @param {Object} [options] - { now }
+     * @returns {Object|null} - { start, end, overdueUntil } where overdueUntil
+     *   is today for overdue topics and null otherwise; null without dates
+     */
+    function barFor(topic, options = {}) {
+        const start = dayOf(topic.startDate);
+        const end = dayOf(topic.endDate);
+        if (!start && !end) return null;
+        const first = start && end && end < start ? end : start || end;
+        const last = start && end && end < start ? start : end || start;
+        const overdue = deadlines.getDeadlineState(topic, { now: options.now }) === 'overdue';
+        return {
+            start: first,
+            end: last,
+            overdueUntil: overdue ? deadlines.toDateString(new Date(options.now || Date.now())) : null
+        };
+    }
+
+    /**
+     * Visible range: every bar plus today, padded by the zoom's padDays,
+     * starting on a Monday
+     * @param {Array} topics - Topics shown
+     * @param {string} zoom - 'week' | 'month' | 'quarter'
+     * @param {Object} [options] - { now }
+     * @returns {Object} - { start, end, days }
+     */
+    function rangeFor(topics, zoom, options = {}) {
+        const today = deadlines.toDateString(new Date(options.now || Date.now()));
+        const dates = [today];
+        topics.forEach(topic => {
+            const bar = barFor(topic, options);
+            if (bar) dates.push(bar.start, bar.end);
+        });
+        dates.sort();
+        const pad = ZOOMS[zoom].padDays;
+        let start = addDays(dates[0], -pad);
+        const weekday = (deadlines.parseLocalDate(start).getDay() + 6) % 7;
+        start = addDays(start, -weekday);
+        const end = addDays(dates[dates.length - 1], pad);
+        return { start, end, days: daysBetween(start, end) + 1 };
+    }
+
+    /**
+     * @param {Object} range - From rangeFor()
+     * @param {string} zoom
+     * @returns {Array} - [{ date, offset, label }] for the axis
+     */
+    function ticksFor(range, zoom) {
+        const ticks = [];
+        const tick = ZOOMS[zoom].tick;
+        for (let offset = 0; offset < range.days; offset++) {
+            const date = addDays(range.start, offset);
+            const day = deadlines.parseLocalDate(date);
+            if (tick === 'day') {
+                ticks.push({ date, offset, label: deadlines.formatDate(date, { weekday: 'narrow', day: 'numeric' }) });
+            } else if (tick === 'week' && day.getDay() === 1) {
+                ticks.push({ date, offset, label: deadlines.formatDate(date, { month: 'short', day: 'numeric' }) });
+            } else if (tick === 'month' && day.getDate() === 1) {
+                ticks.push({ date, offset, label: deadlines.formatDate(date, { month: 'short', year: '2-digit' }) });
+            }
+        }
+        return ticks;
+    }
+
+    // EDITING
+    /**
+     * New dates after dragging a bar by `days`
+     * @param {Object} topic
+     * @param {number} days - Whole days, negative for earlier
+     * @param {string} edge - 'move' (both dates), 'start' or 'end' (resize)
+     * @returns {Object} - { startDate, endDate }; a resize never puts the
+     *   start after the end
+     */
+    function shiftDates(topic, days, edge) {
+        const bar = barFor(topic);
+        if (!bar) throw new Error('This topic has no dates to move');
+        let start = bar.start;
+        let end = bar.end;
+        if (edge === 'move' || edge === 'start') start = addDays(start, days);
+        if (edge === 'move' || edge === 'end') end = addDays(end, days);
+        if (edge === 'start' && start > end) start = end;
+        if (edge === 'end' && end < start) end = start;
+        return { startDate: start, endDate: end };
+    }
+
+    return {
+        ZOOMS,
+        addDays,
+        daysBetween,
+        barFor,
+        rangeFor,
+        ticksFor,
+        shiftDates
+    };
+});
@@ -0,0 +1,378 @@
+// ===========================================
+// MASTERY OS - SHARED TOPIC MODEL
+// ===========================================
+//
+// One canonical topic schema for every tracker variant (script.js,
+// mastery_os_fixed.html and journey-tracker.jsx). The schema is a superset
+// of the fields each variant used on its own:
+//
+// {
+//   id: 1234567890,                 // numeric, unique
+//   title: "Distributed Systems",   // was `name` in script.js
+//   category: "Backend",
+//   status: "ongoing",              // planning | ongoing | completed
+//   priority: "high",               // low | med | high
+//   startDate: "2024-01-15",
+//   endDate: "2024-06-15",          // was `targetDate` in script.js
+//   progress: 40,                   // 0-100, derived from milestones when there are any
+//   milestones: [                   // ordered checklist
+//     { id: 1, title: "Read the docs", done: true, dueDate: "2024-02-01", weight: 1 }
+//   ],
+//   prerequisites: [1234567000],    // ids of topics that must be completed first
+//   sessions: [                     // study time log, oldest first
+//     { id: 1, start: "2024-01-16T18:00:00.000Z", end: "2024-01-16T19:00:00.000Z", duration: 55, note: "" }
+//   ],                              // duration is focused minutes (Pomodoro breaks excluded)
+//   activeSession: null,            // { start, pomodoro: { work, rest } | null } while a timer runs
+//   transitions: [                  // status/progress history, oldest first (see trackTransition)
+//     { at: "2024-01-15T10:00:00.000Z", status: "planning", progress: 0 }
+//   ],
+//   tags: ["Go", "Docker"],          // was the comma separated `destinations` string
+//   rank: 2000,                     // manual order within its board column, null = unordered (see core/board.js)
+//   links: "https://a.dev\nhttps://b.dev",  // was comma separated `resources`
+//   notes: "...",                   // Markdown (see core/markdown.js)
+//   journal: [                      // dated learning log, oldest first (see core/journal.js)
+//     { id: 1, at: "2024-01-16T19:05:00.000Z", text: "Raft leader election finally clicked" }
+//   ],
+//   createdAt: "2024-01-15T10:00:00.000Z",
+//   updatedAt: "2024-01-15T10:00:00.000Z",
+//   deletedAt: null                 // set while the topic is in the trash
+// }
+//
+// Loaded as a plain <script> it registers `MasteryOS.topics`; bundlers get
+// the same object through `require('./core/topics')`.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.topics = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const STATUSES = ['planning', 'ongoing', 'completed'];
+    const PRIORITIES = ['low', 'med', 'high'];
+
+    // Status values used by script.js before the schema was unified
+    const STATUS_ALIASES = {
+        'not-started': 'planning',
+        'in-progress': 'ongoing'
+    };
+
+    function normalizeStatus(status) {
+        const value = STATUS_ALIASES[status] || status;
+        return STATUSES.includes(value) ? value : 'planning';
+    }
+
+    function normalizeLinks(links) {
+        if (Array.isArray(links)) links = links.join('\n');
+        return String(links || '')
+            .split(/[\n,]/)
+            .map(link => link.trim())
+            .filter(link => link)
+            .join('\n');
+    }
+
+    function clampProgress(progress, status) {
+        const value = parseInt(progress, 10);
+        if (isNaN(value)) return status === 'completed' ? 100 : 0;
+        return Math.min(100, Math.max(0, value));
+    }
+
+    // TAGS
+    // Trimmed, inner whitespace collapsed, unique ignoring case (first spelling wins)
+    function normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const seen = new Set();
+        return list
+            .map(tag => String(tag === null || tag === undefined ? '' : tag).replace(/\s+/g, ' ').trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    function hasTag(topic, tag) {
+        const key = String(tag).trim().toLowerCase();
+        return (topic.tags || []).some(name => name.toLowerCase() === key);
+    }
+
+    // MILESTONES
+    function normalizeMilestones(milestones) {
+        if (!Array.isArray(milestones)) return [];
+        const used = new Set();
+
+        return milestones
+            .filter(milestone => milestone && String(milestone.title || '').trim())
+            .map((milestone, index) => {
+                let id = Number(milestone.id) || index + 1;
+                while (used.has(id)) id++;
+                used.add(id);
+
+                const weight = Number(milestone.weight);
+                return {
+                    id,
+                    title: String(milestone.title).trim(),
+                    done: Boolean(milestone.done),
+                    dueDate: milestone.dueDate || '',
+                    weight: weight > 0 ? weight : 1
+                };
+            });
+    }
+
+    /**
+     * Weighted share of completed milestones
+     * @param {Array} milestones - Normalised milestones
+     * @returns {number} - 0-100
+     */
+    function milestoneProgress(milestones) {
+        const total = milestones.reduce((sum, milestone) => sum + milestone.weight, 0);
+        if (!total) return 0;
+        const done = milestones
+            .filter(milestone => milestone.done)
+            .reduce((sum, milestone) => sum + milestone.weight, 0);
+        return Math.round((done / total) * 100);
+    }
+
+    /**
+     * Progress to display: from milestones when the topic has any, otherwise
+     * the manual value, with completed topics always counting as 100
+     */
+    function getProgress(topic) {
+        if (topic.milestones && topic.milestones.length) return milestoneProgress(topic.milestones);
+        if (topic.status === 'completed') return 100;
+        return topic.progress || 0;
+    }
+
+    function toggleMilestone(milestones, milestoneId) {
+        return milestones.map(milestone => (
+            sameId(milestone.id, milestoneId) ? { ...milestone, done: !milestone.done } : milestone
+        ));
+    }
+
+    function normalizePrerequisites(prerequisites, ownId) {
+        if (!Array.isArray(prerequisites)) return [];
+        const ids = prerequisites.map(Number).filter(id => id && id !== ownId);
+        return Array.from(new Set(ids));
+    }
+
+    // TIME LOG
+    function toIsoString(value) {
+        const time = Date.parse(value);
+        return isNaN(time) ? null : new Date(time).toISOString();
+    }
+
+    function normalizeSessions(sessions) {
+        if (!Array.isArray(sessions)) return [];
+        const used = new Set();
+
+        return sessions
+            .filter(session => session && toIsoString(session.start))
+            .map((session, index) => {
+                let id = Number(session.id) || index + 1;
+                while (used.has(id)) id++;
+                used.add(id);
+
+                const start = toIsoString(session.start);
+                const end = toIsoString(session.end) || start;
+                const duration = session.duration === null || session.duration === '' ? NaN : Number(session.duration);
+                return {
+                    id,
+                    start,
+                    end,
+                    duration: duration >= 0 ? Math.round(duration) : Math.max(0, Math.round((Date.parse(end) - Date.parse(start)) / 60000)),
+                    note: String(session.note || '').trim()
+                };
+            })
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    function normalizeActiveSession(active) {
+        if (!active || !toIsoString(active.start)) return null;
+        const pomodoro = active.pomodoro && Number(active.pomodoro.work) > 0 && Number(active.pomodoro.rest) > 0
+            ? { work: Number(active.pomodoro.work), rest: Number(active.pomodoro.rest) }
+            : null;
+        return { start: toIsoString(active.start), pomodoro };
+    }
+
+    // JOURNAL
+    function normalizeJournal(journal) {
+        if (!Array.isArray(journal)) return [];
+        const used = new Set();
+
+        return journal
+            .filter(entry => entry && toIsoString(entry.at) && String(entry.text || '').trim())
+            .map((entry, index) => {
+                let id = Number(entry.id) || index + 1;
+                while (used.has(id)) id++;
+                used.add(id);
+                return { id, at: toIsoString(entry.at), text: String(entry.text).trim() };
+            })
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    // STATUS HISTORY
+    function normalizeTransitions(transitions) {
+        if (!Array.isArray(transitions)) return [];
+        return transitions
+            .filter(entry => entry && toIsoString(entry.at))
+            .map(entry => {
+                const status = normalizeStatus(entry.status);
+                return { at: toIsoString(entry.at), status, progress: clampProgress(entry.progress, status) };
+            })
+            .sort((a, b) => a.at.localeCompare(b.at));
+    }
+
+    function sameLocalDay(a, b) {
+        return new Date(a).toDateString() === new Date(b).toDateString();
+    }
+
+    /**
+     * Transitions of `next` after a save: a new entry when the status or
+     * progress differs from `previous`. Progress-only changes on the same
+     * day as the last entry update it in place, so dragging a slider does
+     * not flood the history.
+     * @param {Object|null} previous - Topic before the change, null when created
+     * @param {Object} next - Normalised topic after the change
+     * @param {string} [at] - ISO timestamp of the change
+     * @returns {Array} - Transitions to store on `next`
+     */
+    function trackTransition(previous, next, at = new Date().toISOString()) {
+        let transitions = previous ? previous.transitions || [] : next.transitions || [];
+        const progress = getProgress(next);
+        if (previous && previous.status === next.status && getProgress(previous) === progress) return transitions;
+        // Saved before the history existed: assume the old state held since creation
+        if (previous && !transitions.length) {
+            transitions = [{ at: previous.createdAt, status: previous.status, progress: getProgress(previous) }];
+        }
+
+        const last = transitions[transitions.length - 1];
+        if (!last) return [{ at, status: next.status, progress }];
+        if (last.status === next.status && sameLocalDay(last.at, at)) {
+            if (last.progress === progress) return transitions;
+            return [...transitions.slice(0, -1), { ...last, progress }];
+        }
+        return [...transitions, { at, status: next.status, progress }];
+    }
+
+    /**
+     * Bring a record from any variant into the canonical shape.
+     * Unknown fields are kept so nothing a newer variant wrote gets lost.
+     * @param {Object} raw - Stored or imported record
+     * @returns {Object} - Canonical topic
+     */
+    function normalizeTopic(raw) {
+        const source = raw && typeof raw === 'object' ? raw : {};
+        const { name, targetDate, resources, destinations, ...rest } = source;
+        const status = normalizeStatus(source.status);
+        const id = Number(source.id) || Date.now();
+        const createdAt = source.createdAt || new Date(id).toISOString();
+        const milestones = normalizeMilestones(source.milestones);
+
+        return {
+            ...rest,
+            id,
+            title: String(source.title || name || '').trim(),
+            category: source.category || '',
+            status,
+            priority: PRIORITIES.includes(source.priority) ? source.priority : 'med',
+            startDate: source.startDate || '',
+            endDate: source.endDate || targetDate || '',
+            progress: milestones.length ? milestoneProgress(milestones) : clampProgress(source.progress, status),
+            milestones,
+            prerequisites: normalizePrerequisites(source.prerequisites, id),
+            sessions: normalizeSessions(source.sessions),
+            activeSession: normalizeActiveSession(source.activeSession),
+            transitions: normalizeTransitions(source.transitions),
+            tags: normalizeTags(source.tags !== undefined ? source.tags : destinations),
+            rank: typeof source.rank === 'number' && isFinite(source.rank) ? source.rank : null,
+            links: normalizeLinks(source.links !== undefined ? source.links : resources),
+            notes: source.notes || '',
+            journal: normalizeJournal(source.journal),
+            createdAt,
+            updatedAt: source.updatedAt || createdAt,
+            deletedAt: toIsoString(source.deletedAt)
+        };
+    }
+
+    /**
+     * Pick an id that is not used by any topic in the list
+     * @param {Array} topics - Existing topics
+     * @returns {number} - Unique numeric id
+     */
+    function generateId(topics) {
+        const used = new Set(topics.map(topic => topic.id));
+        let id = Date.now();
+        while (used.has(id)) id++;
+        return id;
+    }
+
+    function sameId(a, b) {
+        return String(a) === String(b);
+    }
+
+    function getLinks(topic) {
+        return normalizeLinks(topic.links).split('\n').filter(link => link);
+    }
+
+    // FILTERING
+    /**
+     * @param {Array} topics - Topics to filter
+     * @param {Object} criteria - { status: 'all' | status, search: string }
+     * @returns {Array} - Topics matching both status and search text
+     */
+    function filterTopics(topics, criteria = {}) {
+        const status = criteria.status && criteria.status !== 'all'
+            ? normalizeStatus(criteria.status)
+            : null;
+        const search = (criteria.search || '').trim().toLowerCase();
+
+        return topics.filter(topic => {
+            if (status && topic.status !== status) return false;
+            if (!search) return true;
+            return [topic.title, (topic.tags || []).join(', '), topic.category]
+                .some(field => (field || '').toLowerCase().includes(search));
+        });
+    }
+
+    // STATISTICS
+    function computeStats(topics) {
+        const count = status => topics.filter(topic => topic.status === status).length;
+        const total = topics.length;
+        const completed = count('completed');
+
+        return {
+            total,
+            planning: count('planning'),
+            ongoing: count('ongoing'),
+            completed,
+            critical: topics.filter(topic => topic.priority === 'high' && topic.status !== 'completed').length,
+            percent: total ? Math.round(topics.reduce((sum, topic) => sum + getProgress(topic), 0) / total) : 0
+        };
+    }
+
+    return {
+        STATUSES,
+        PRIORITIES,
+        normalizeStatus,
+        normalizeLinks,
+        normalizeTags,
+        hasTag,
+        normalizeTopic,
+        generateId,
+        sameId,
+        getLinks,
+        normalizeMilestones,
+        milestoneProgress,
+        getProgress,
+        toggleMilestone,
+        normalizeSessions,
+        normalizeJournal,
+        trackTransition,
+        filterTopics,
+        computeStats
+    };
+});
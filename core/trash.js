@@ -0,0 +1,87 @@
+// ===========================================
+// MASTERY OS - TRASH
+// ===========================================
+//
+// Deleting a topic only stamps it with `deletedAt`; the store keeps such
+// records in a separate trash list and writes them with everything else, so
+// backups and exports carry the trash along. Trashed topics are purged for
+// good once they are older than the retention period.
+//
+// The retention period is a per-workspace setting in localStorage
+// (RETENTION_KEY, in days; 0 keeps trashed topics until purged by hand).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./workspaces'));
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.trash = factory(root.MasteryOS.workspaces);
+    }
+})(typeof self !== 'undefined' ? self : this, function (workspaces) {
+    'use strict';
+
+    const RETENTION_KEY = 'mastery_os_trash_retention';
+    const DEFAULT_RETENTION_DAYS = 30;
+    const RETENTION_CHOICES = [7, 30, 90, 0];
+    const DAY = 24 * 60 * 60 * 1000;
+
+    function defaultStorage() {
+        return workspaces.activeStorage();
+    }
+
+    function isTrashed(topic) {
+        return Boolean(topic.deletedAt);
+    }
+
+    /**
+     * Split stored records into live topics and trash
+     * @param {Array} records - Normalised topics
+     * @returns {Object} - { topics, trash }
+     */
+    function partition(records) {
+        return {
+            topics: records.filter(record => !isTrashed(record)),
+            trash: records.filter(isTrashed)
+        };
+    }
+
+    // RETENTION
+    function getRetentionDays(storage = defaultStorage()) {
+        const stored = storage && storage.getItem(RETENTION_KEY);
+        const days = parseInt(stored, 10);
+        return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+    }
+
+    function setRetentionDays(days, storage = defaultStorage()) {
+        const value = parseInt(days, 10);
+        if (isNaN(value) || value < 0) throw new Error(`Invalid retention period: ${days}`);
+        storage.setItem(RETENTION_KEY, String(value));
+    }
+
+    /**
+     * @param {Object} topic - Trashed topic
+     * @param {number} days - Retention period, 0 for no limit
+     * @returns {number|null} - Whole days until it is purged, null without a limit
+     */
+    function daysLeft(topic, days, now = Date.now()) {
+        if (!days) return null;
+        const expires = Date.parse(topic.deletedAt) + days * DAY;
+        return Math.max(0, Math.ceil((expires - now) / DAY));
+    }
+
+    function isExpired(topic, days, now = Date.now()) {
+        return Boolean(days) && Date.parse(topic.deletedAt) + days * DAY <= now;
+    }
+
+    return {
+        RETENTION_KEY,
+        DEFAULT_RETENTION_DAYS,
+        RETENTION_CHOICES,
+        isTrashed,
+        partition,
+        getRetentionDays,
+        setRetentionDays,
+        daysLeft,
+        isExpired
+    };
+});
@@ -0,0 +1,268 @@
+// ===========================================
+// MASTERY OS - WORKSPACES
+// ===========================================
+//
+// Named workspaces ("Backend path", "Personal", ...) in one browser, each
+// with its own topics, activity log, smart filters and settings.
+//
+// Every localStorage key a workspace uses gets its id appended
+// ("mastery_os_view_settings@ws-lx2k9f"); the first workspace, DEFAULT_ID,
+// keeps the plain keys, so data saved before workspaces existed is simply
+// the default workspace. The core modules read and write through
+// activeStorage(), which does this for the workspace the page was opened
+// with. Switching workspaces therefore means reloading the page; a tab
+// never changes workspace under its own feet when another tab switches.
+//
+// The list of workspaces and the active one live in REGISTRY_KEY, shared by
+// all of them.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MasteryOS = root.MasteryOS || {};
+        root.MasteryOS.workspaces = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const REGISTRY_KEY = 'mastery_os_workspaces';
+    const DEFAULT_ID = 'default';
+    const DEFAULT_NAME = 'Default';
+    const MAX_NAME_LENGTH = 60;
+    const BUNDLE_FORMAT = 'mastery_os_workspaces';
+
+    function defaultStorage() {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    }
+
+    // REGISTRY
+    function readRegistry(storage) {
+        let stored = null;
+        try {
+            stored = JSON.parse((storage && storage.getItem(REGISTRY_KEY)) || 'null');
+        } catch (error) {
+            stored = null;
+        }
+        const workspaces = stored && Array.isArray(stored.workspaces)
+            ? stored.workspaces.filter(workspace => workspace && typeof workspace.id === 'string' && workspace.name)
+            : [];
+        if (!workspaces.some(workspace => workspace.id === DEFAULT_ID)) {
+            workspaces.unshift({ id: DEFAULT_ID, name: DEFAULT_NAME, createdAt: null });
+        }
+        const active = stored && workspaces.some(workspace => workspace.id === stored.active) ? stored.active : DEFAULT_ID;
+        return { active, workspaces };
+    }
+
+    function writeRegistry(registry, storage) {
+        storage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+    }
+
+    function list(storage = defaultStorage()) {
+        return readRegistry(storage).workspaces;
+    }
+
+    function find(id, storage = defaultStorage()) {
+        return list(storage).find(workspace => workspace.id === id) || null;
+    }
+
+    function cleanName(name, registry, exceptId) {
+        const clean = String(name || '').trim().replace(/\s+/g, ' ');
+        if (!clean) throw new Error('A workspace needs a name');
+        if (clean.length > MAX_NAME_LENGTH) throw new Error(`Workspace names are at most ${MAX_NAME_LENGTH} characters`);
+        const taken = registry.workspaces.some(workspace =>
+            workspace.id !== exceptId && workspace.name.toLowerCase() === clean.toLowerCase());
+        if (taken) throw new Error(`There is already a workspace called "${clean}"`);
+        return clean;
+    }
+
+    /**
+     * "Personal" -> "Personal (2)" when the name is taken, for imports
+     * @param {string} name
+     * @returns {string}
+     */
+    function uniqueName(name, storage = defaultStorage()) {
+        const taken = new Set(list(storage).map(workspace => workspace.name.toLowerCase()));
+        const base = String(name || DEFAULT_NAME).trim().slice(0, MAX_NAME_LENGTH - 5) || DEFAULT_NAME;
+        let candidate = base;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})`;
+        return candidate;
+    }
+
+    // KEYS
+    /**
+     * @param {string} key - Key as the core modules name it
+     * @param {string} [id] - Workspace, defaults to the one this page opened with
+     * @returns {string} - The key actually used in storage
+     */
+    function scopeKey(key, id = activeId()) {
+        return id === DEFAULT_ID ? key : `${key}@${id}`;
+    }
+
+    /**
+     * A Storage-like view of one workspace: getItem/setItem/removeItem with
+     * scoped keys
+     * @param {Storage} storage - Usually localStorage
+     * @param {string} id - Workspace
+     */
+    function scopeStorage(storage, id) {
+        if (!storage || id === DEFAULT_ID) return storage;
+        return {
+            getItem: key => storage.getItem(scopeKey(key, id)),
+            setItem: (key, value) => storage.setItem(scopeKey(key, id), value),
+            removeItem: key => storage.removeItem(scopeKey(key, id))
+        };
+    }
+
+    // Keys of a non-default workspace, found by their suffix
+    function ownKeys(id, storage) {
+        const suffix = `@${id}`;
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.endsWith(suffix)) keys.push(key.slice(0, -suffix.length));
+        }
+        return keys;
+    }
+
+    // Default workspace keys: everything else of ours, except the registry
+    function defaultKeys(storage) {
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (key && key.startsWith('mastery_os') && !key.includes('@') && key !== REGISTRY_KEY) keys.push(key);
+        }
+        return keys;
+    }
+
+    // ACTIVE WORKSPACE
+    // Read once: the rest of the page keeps using the workspace it opened with
+    let pinnedId = null;
+
+    function activeId() {
+        if (pinnedId === null) pinnedId = readRegistry(defaultStorage()).active;
+        return pinnedId;
+    }
+
+    function active() {
+        return find(activeId()) || { id: DEFAULT_ID, name: DEFAULT_NAME, createdAt: null };
+    }
+
+    // Where the core modules keep their data and settings by default
+    function activeStorage() {
+        return scopeStorage(defaultStorage(), activeId());
+    }
+
+    /**
+     * Make `id` the workspace pages open with; reload the page to move there
+     * @param {string} id
+     */
+    function setActive(id, storage = defaultStorage()) {
+        const registry = readRegistry(storage);
+        if (!registry.workspaces.some(workspace => workspace.id === id)) throw new Error(`Unknown workspace: ${id}`);
+        writeRegistry({ ...registry, active: id }, storage);
+    }
+
+    // CHANGES
+    function newId() {
+        return `ws-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object} - The new, empty workspace { id, name, createdAt }
+     */
+    function create(name, storage = defaultStorage()) {
+        const registry = readRegistry(storage);
+        const workspace = { id: newId(), name: cleanName(name, registry), createdAt: new Date().toISOString() };
+        writeRegistry({ ...registry, workspaces: registry.workspaces.concat([workspace]) }, storage);
+        return workspace;
+    }
+
+    function rename(id, name, storage = defaultStorage()) {
+        const registry = readRegistry(storage);
+        const clean = cleanName(name, registry, id);
+        if (!registry.workspaces.some(workspace => workspace.id === id)) throw new Error(`Unknown workspace: ${id}`);
+        writeRegistry({
+            ...registry,
+            workspaces: registry.workspaces.map(workspace => workspace.id === id ? { ...workspace, name: clean } : workspace)
+        }, storage);
+    }
+
+    /**
+     * New workspace holding a copy of every localStorage key of `id`: topics,
+     * activity log and settings. Data kept in IndexedDB is copied separately
+     * (MasteryOS.storage.copyWorkspaceData).
+     * @param {Array} [skip] - Keys to leave behind, e.g. sync state
+     * @returns {Object} - The new workspace
+     */
+    function duplicate(id, name, skip = [], storage = defaultStorage()) {
+        if (!find(id, storage)) throw new Error(`Unknown workspace: ${id}`);
+        const keys = (id === DEFAULT_ID ? defaultKeys(storage) : ownKeys(id, storage)).filter(key => !skip.includes(key));
+        const workspace = create(name, storage);
+        keys.forEach(key => {
+            storage.setItem(scopeKey(key, workspace.id), storage.getItem(scopeKey(key, id)));
+        });
+        return workspace;
+    }
+
+    /**
+     * Forget a workspace and its localStorage keys. The default workspace holds
+     * the data from before workspaces and stays; the active one must be left
+     * first. IndexedDB data goes with MasteryOS.storage.deleteWorkspaceData.
+     */
+    function remove(id, storage = defaultStorage()) {
+        const registry = readRegistry(storage);
+        if (id === DEFAULT_ID) throw new Error(`The "${find(id, storage).name}" workspace holds the original data and cannot be deleted; rename it instead`);
+        if (id === registry.active || id === activeId()) throw new Error('Switch to another workspace before deleting this one');
+        if (!registry.workspaces.some(workspace => workspace.id === id)) throw new Error(`Unknown workspace: ${id}`);
+        ownKeys(id, storage).forEach(key => storage.removeItem(scopeKey(key, id)));
+        writeRegistry({ ...registry, workspaces: registry.workspaces.filter(workspace => workspace.id !== id) }, storage);
+    }
+
+    // EXPORT
+    /**
+     * One file for several workspaces
+     * @param {Array} entries - [{ name, backup }], backup as in a single export
+     */
+    function bundle(entries) {
+        return {
+            format: BUNDLE_FORMAT,
+            exportedAt: new Date().toISOString(),
+            workspaces: entries.map(entry => ({ name: entry.name, backup: entry.backup }))
+        };
+    }
+
+    /**
+     * @param {*} data - Parsed JSON file
+     * @returns {Array|null} - [{ name, backup }], or null when it is no bundle
+     */
+    function unbundle(data) {
+        if (!data || data.format !== BUNDLE_FORMAT) return null;
+        if (!Array.isArray(data.workspaces)) throw new Error('The workspaces file has no workspace list');
+        return data.workspaces.map((entry, index) => ({
+            name: entry && entry.name ? String(entry.name) : `Workspace ${index + 1}`,
+            backup: entry ? entry.backup : null
+        }));
+    }
+
+    return {
+        REGISTRY_KEY,
+        DEFAULT_ID,
+        list,
+        find,
+        uniqueName,
+        scopeKey,
+        scopeStorage,
+        activeId,
+        active,
+        activeStorage,
+        setActive,
+        create,
+        rename,
+        duplicate,
+        remove,
+        bundle,
+        unbundle
+    };
+});
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { MapPin, Calendar, Flag, Plus, Trash2, Edit2, Check, X } from 'lucide-react';
+import { createStore } from './core/store';
+import { createTabSync } from './core/sync';
+import { filterTopics, computeStats, hasTag } from './core/topics';
+import { collectTags, getTagColor } from './core/tags';
+import { formatDate, getDeadlineState, describeDeadline } from './core/deadlines';
+import { render as renderMarkdown } from './core/markdown';
+import { addEntry, removeEntry, groupByDay } from './core/journal';
 
 /**
  * JOURNEY TRACKER APPLICATION
@@ -8,21 +15,46 @@ import { MapPin, Calendar, Flag, Plus, Trash2, Edit2, Check, X } from 'lucide-re
  * - Frontend: React 18 with Hooks (useState, useEffect)
  * - Styling: Tailwind CSS utility classes
  * - Icons: Lucide React icon library
- * - Storage: Browser localStorage API for data persistence
+ * - Storage: Shared topic store (core/store.js) on top of localStorage or IndexedDB
  * 
  * ARCHITECTURE OVERVIEW:
  * This is a single-page application (SPA) that manages journey/trip tracking.
- * Data persists in browser storage, making it work offline without a backend.
+ * Records live in the same store as script.js and mastery_os_fixed.html, so
+ * every variant sees the same data. It works offline without a backend.
  */
 
+/**
+ * Tailwind styles for the HTML core/markdown.js renders (headings, lists,
+ * code blocks and the hl-* syntax highlighting classes)
+ */
+const MARKDOWN_CLASSES = [
+  'space-y-2 [&_h1]:font-bold [&_h2]:font-bold [&_h3]:font-semibold [&_a]:text-indigo-600 [&_a]:underline',
+  '[&_ul]:list-disc [&_ul]:pl-5 [&_ol]:list-decimal [&_ol]:pl-5 [&_blockquote]:border-l-4 [&_blockquote]:pl-3 [&_blockquote]:text-gray-500',
+  '[&_code]:font-mono [&_code]:text-xs [&_code]:bg-gray-100 [&_code]:px-1 [&_code]:rounded',
+  '[&_pre]:bg-gray-900 [&_pre]:text-gray-100 [&_pre]:p-3 [&_pre]:rounded-lg [&_pre]:overflow-x-auto [&_pre_code]:bg-transparent [&_pre_code]:p-0',
+  '[&_.hl-keyword]:text-purple-300 [&_.hl-string]:text-green-300 [&_.hl-comment]:text-gray-400 [&_.hl-number]:text-amber-300'
+].join(' ');
+
 const JourneyTracker = () => {
   // ============================================================================
   // STATE MANAGEMENT
   // ============================================================================
   
   /**
-   * Main journeys array - stores all journey records
-   * Each journey object contains: id, title, startDate, endDate, destinations, status, notes
+   * Shared topic store - created once per component instance
+   * Owns persistence; the component only mirrors its records into state.
+   * The sync channel brings in edits made in other open tabs.
+   */
+  const [store] = useState(() => createStore({
+    onMigrate: (report) => setMigrationReport(report),
+    sync: createTabSync(),
+    onRemoteChange: (changes) => setRemoteChange(changes)
+  }));
+
+  /**
+   * Main journeys array - a copy of the store's records
+   * Each journey uses the canonical topic schema from core/topics.js
+   * (id, title, status, priority, startDate, endDate, tags, notes, ...)
    */
   const [journeys, setJourneys] = useState([]);
   
@@ -34,7 +66,7 @@ const JourneyTracker = () => {
     title: '',
     startDate: '',
     endDate: '',
-    EndofTask: '',
+    tags: '',
     status: 'planning',
     notes: ''
   });
@@ -48,40 +80,87 @@ const JourneyTracker = () => {
   const [showForm, setShowForm] = useState(false);
   const [editingId, setEditingId] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState(null);
+
+  /**
+   * Report from core/migrations.js when saved data was upgraded on load
+   * (null when nothing had to be migrated or the notice was dismissed)
+   */
+  const [migrationReport, setMigrationReport] = useState(null);
+
+  /**
+   * Last { changed, removed } ids read from another tab, and whether that
+   * touched the journey open in the form ('changed', 'removed' or null)
+   */
+  const [remoteChange, setRemoteChange] = useState(null);
+  const [editConflict, setEditConflict] = useState(null);
+
+  /**
+   * Unsaved journal entry text per journey id, typed on the card
+   */
+  const [journalDrafts, setJournalDrafts] = useState({});
 
   // ============================================================================
-  // DATA PERSISTENCE - localStorage Integration
+  // DATA PERSISTENCE - Shared Store
   // ============================================================================
   
   /**
    * useEffect Hook: Runs once on component mount
-   * Purpose: Load saved journeys from browser's localStorage
+   * Purpose: Load saved journeys and follow every later change
    * 
    * How it works:
-   * 1. Retrieves 'journeys' key from localStorage
-   * 2. Parses JSON string back into JavaScript object
-   * 3. Updates state with loaded data
-   * 4. Empty dependency array [] means this runs only once on mount
+   * 1. Subscribes setJourneys to the store, so each create/update/delete
+   *    (which the store saves itself) re-renders the component
+   * 2. Starts loading the shared records from the chosen storage backend
+   *    (localStorage or IndexedDB); the subscription receives them
+   * 3. The returned function unsubscribes when the component unmounts
    */
   useEffect(() => {
-    const savedJourneys = localStorage.getItem('journeys');
-    if (savedJourneys) {
-      setJourneys(JSON.parse(savedJourneys));
-    }
-  }, []);
+    const unsubscribe = store.subscribe(setJourneys);
+    store.load();
+    return unsubscribe;
+  }, [store]);
 
   /**
-   * useEffect Hook: Runs whenever journeys array changes
-   * Purpose: Save journeys to localStorage for persistence
-   * 
+   * useEffect Hook: Keyboard undo/redo
+   * Purpose: Ctrl+Z undoes the last create/update/delete, Ctrl+Shift+Z
+   * (or Ctrl+Y) redoes it
+   *
    * How it works:
-   * 1. Converts journeys array to JSON string
-   * 2. Saves to localStorage under 'journeys' key
-   * 3. Dependency [journeys] means this runs every time journeys updates
+   * 1. The store records every edit as an operation (core/history.js)
+   * 2. store.undo()/redo() apply it and notify, so setJourneys re-renders
+   * 3. Keys pressed inside form fields are left to the browser's own undo
    */
   useEffect(() => {
-    localStorage.setItem('journeys', JSON.stringify(journeys));
-  }, [journeys]);
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest('input, textarea, select')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        store.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        store.redo();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [store]);
+
+  /**
+   * useEffect Hook: Edits from other tabs
+   * Purpose: Warn when the journey being edited was changed or deleted elsewhere
+   *
+   * The list already re-rendered through the store subscription; the form
+   * keeps what was typed until the user picks a version
+   */
+  useEffect(() => {
+    if (!remoteChange || !editingId) return;
+    if (remoteChange.removed.includes(editingId)) setEditConflict('removed');
+    else if (remoteChange.changed.includes(editingId)) setEditConflict('changed');
+  }, [remoteChange, editingId]);
 
   // ============================================================================
   // FORM HANDLING FUNCTIONS
@@ -114,29 +193,22 @@ const JourneyTracker = () => {
    * Logic Flow:
    * 1. Prevent default form submission (page refresh)
    * 2. Check if editing existing journey or creating new one
-   * 3. For editing: map through journeys and update matching ID
-   * 4. For new: create journey with unique ID and add to array
+   * 3. For editing: merge form data into the stored journey
+   * 4. For new: the store assigns a unique ID and timestamps
    * 5. Reset form and close it
    */
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (editingId) {
+    if (editingId && !store.getTopicById(editingId)) {
+      // DELETED IN ANOTHER TAB - SAVE IT AGAIN AS NEW
+      store.createTopic(formData);
+    } else if (editingId) {
       // UPDATE EXISTING JOURNEY
-      // map() creates new array, updating only the journey with matching ID
-      setJourneys(journeys.map(journey => 
-        journey.id === editingId 
-          ? { ...journey, ...formData }  // Merge existing data with new form data
-          : journey                       // Keep unchanged journeys as-is
-      ));
+      store.updateTopic(editingId, formData);
     } else {
       // CREATE NEW JOURNEY
-      const newJourney = {
-        id: Date.now(), // Simple unique ID using timestamp
-        ...formData,
-        createdAt: new Date().toISOString()
-      };
-      setJourneys([...journeys, newJourney]); // Add to end of array
+      store.createTopic(formData);
     }
     
     // Reset form state
@@ -158,11 +230,13 @@ const JourneyTracker = () => {
       title: journey.title,
       startDate: journey.startDate,
       endDate: journey.endDate,
-      destinations: journey.destinations,
+      tags: (journey.tags || []).join(', '),
       status: journey.status,
       notes: journey.notes
     });
     setEditingId(journey.id);
+    setRemoteChange(null);
+    setEditConflict(null);
     setShowForm(true);
   };
 
@@ -171,11 +245,35 @@ const JourneyTracker = () => {
    * 
    * @param {number} id - ID of journey to delete
    * 
-   * Uses filter() to create new array excluding the deleted journey
-   * filter() keeps only items where the condition is true
+   * The store moves it to the shared trash (core/trash.js), where it can be
+   * restored from Mastery OS until the retention period runs out
    */
   const handleDelete = (id) => {
-    setJourneys(journeys.filter(journey => journey.id !== id));
+    store.deleteTopic(id);
+  };
+
+  /**
+   * Add the drafted journal entry to a journey (core/journal.js), without
+   * opening the form
+   *
+   * @param {Object} journey - Journey the entry belongs to
+   */
+  const handleAddJournalEntry = (journey) => {
+    const text = journalDrafts[journey.id] || '';
+    if (!text.trim()) return;
+    try {
+      store.updateTopic(journey.id, addEntry(journey, text));
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    setJournalDrafts({ ...journalDrafts, [journey.id]: '' });
+  };
+
+  const handleRemoveJournalEntry = (journey, entryId) => {
+    if (window.confirm('Remove this journal entry?')) {
+      store.updateTopic(journey.id, removeEntry(journey, entryId));
+    }
   };
 
   /**
@@ -187,12 +285,13 @@ const JourneyTracker = () => {
       title: '',
       startDate: '',
       endDate: '',
-      destinations: '',
+      tags: '',
       status: 'planning',
       notes: ''
     });
     setShowForm(false);
     setEditingId(null);
+    setEditConflict(null);
   };
 
   // ============================================================================
@@ -205,12 +304,11 @@ const JourneyTracker = () => {
    * Returns:
    * - All journeys if filter is 'all'
    * - Only journeys matching the selected status otherwise
-   * 
-   * filter() method creates new array with items that pass the test
+   * - Narrowed to one tag while a tag chip is selected
    */
-  const filteredJourneys = filter === 'all' 
-    ? journeys 
-    : journeys.filter(journey => journey.status === filter);
+  const filteredJourneys = filterTopics(journeys, { status: filter })
+    .filter(journey => !tagFilter || hasTag(journey, tagFilter));
+  const stats = computeStats(journeys);
 
   // ============================================================================
   // UTILITY FUNCTIONS
@@ -267,25 +365,49 @@ const JourneyTracker = () => {
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-6">
             <div className="bg-blue-50 p-4 rounded-lg">
               <div className="text-2xl font-bold text-blue-600">
-                {journeys.filter(j => j.status === 'planning').length}
+                {stats.planning}
               </div>
               <div className="text-sm text-gray-600">Planning</div>
             </div>
             <div className="bg-green-50 p-4 rounded-lg">
               <div className="text-2xl font-bold text-green-600">
-                {journeys.filter(j => j.status === 'ongoing').length}
+                {stats.ongoing}
               </div>
               <div className="text-sm text-gray-600">Ongoing</div>
             </div>
             <div className="bg-gray-50 p-4 rounded-lg">
               <div className="text-2xl font-bold text-gray-600">
-                {journeys.filter(j => j.status === 'completed').length}
+                {stats.completed}
               </div>
               <div className="text-sm text-gray-600">Completed</div>
             </div>
           </div>
         </div>
 
+        {/* Migration Notice - lists records that could not be upgraded */}
+        {migrationReport && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 text-sm text-yellow-800">
+            <div className="flex justify-between items-start gap-4">
+              <div>
+                <p className="font-semibold">
+                  Saved data upgraded to schema v{migrationReport.toVersion} ({migrationReport.migrated} journeys).
+                  The previous data is kept in "{migrationReport.backupKey}".
+                </p>
+                {migrationReport.failed.length > 0 && (
+                  <ul className="list-disc pl-5 mt-2">
+                    {migrationReport.failed.map((f, i) => (
+                      <li key={i}>{f.label} ({f.source}): {f.reason}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <button onClick={() => setMigrationReport(null)} className="p-1 hover:bg-yellow-100 rounded">
+                <X size={16} />
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Add/Edit Form - Conditionally rendered based on showForm state */}
         {showForm && (
           <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
@@ -293,6 +415,27 @@ const JourneyTracker = () => {
               {editingId ? 'Edit Journey' : 'Add New Journey'}
             </h2>
             
+            {/* Edited in another tab while this form was open */}
+            {editConflict && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 mb-4 text-sm text-yellow-800 flex flex-wrap items-center gap-3">
+                <span className="flex-grow">
+                  {editConflict === 'removed'
+                    ? 'This journey was deleted in another tab. Saving adds it again.'
+                    : 'This journey was changed in another tab. Saving overwrites those changes.'}
+                </span>
+                {editConflict === 'changed' && (
+                  <>
+                    <button type="button" onClick={() => handleEdit(store.getTopicById(editingId))} className="px-3 py-1 rounded border border-yellow-300 hover:bg-yellow-100">
+                      Load their version
+                    </button>
+                    <button type="button" onClick={() => setEditConflict(null)} className="px-3 py-1 rounded border border-yellow-300 hover:bg-yellow-100">
+                      Keep mine
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Form element with submit handler */}
             <form onSubmit={handleSubmit} className="space-y-4">
               {/* Grid layout for form fields */}
@@ -363,34 +506,39 @@ const JourneyTracker = () => {
                 </div>
               </div>
 
-              {/* Destinations Input - Full Width */}
+              {/* Tags Input - Full Width, comma separated, suggests tags already in use */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  End Of Task*
+                  Tags
                 </label>
                 <input
                   type="text"
-                  name="End of Task"
-                  value={formData.destinations}
+                  name="tags"
+                  list="tag-suggestions"
+                  value={formData.tags}
                   onChange={handleInputChange}
-                  required
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
                   placeholder="e.g., Javascript, React, React Native"
                 />
+                <datalist id="tag-suggestions">
+                  {collectTags(journeys).map(tag => (
+                    <option key={tag.name} value={tag.name} />
+                  ))}
+                </datalist>
               </div>
 
               {/* Notes Textarea */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Notes
+                  Notes <span className="text-gray-400 font-normal">(Markdown)</span>
                 </label>
                 <textarea
                   name="notes"
                   value={formData.notes}
                   onChange={handleInputChange}
-                  rows="3"
+                  rows="4"
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
-                  placeholder="Add any additional details..."
+                  placeholder="Add any additional details... **bold**, `code`, - lists, ```js code blocks"
                 />
               </div>
 
@@ -427,7 +575,7 @@ const JourneyTracker = () => {
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              All Journeys ({journeys.length})
+              All Journeys ({stats.total})
             </button>
             <button
               onClick={() => setFilter('planning')}
@@ -437,7 +585,7 @@ const JourneyTracker = () => {
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              Planning ({journeys.filter(j => j.status === 'planning').length})
+              Planning ({stats.planning})
             </button>
             <button
               onClick={() => setFilter('ongoing')}
@@ -447,7 +595,7 @@ const JourneyTracker = () => {
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              Ongoing ({journeys.filter(j => j.status === 'ongoing').length})
+              Ongoing ({stats.ongoing})
             </button>
             <button
               onClick={() => setFilter('completed')}
@@ -457,8 +605,16 @@ const JourneyTracker = () => {
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              Completed ({journeys.filter(j => j.status === 'completed').length})
+              Completed ({stats.completed})
             </button>
+            {tagFilter && (
+              <button
+                onClick={() => setTagFilter(null)}
+                className="px-4 py-2 rounded-lg bg-indigo-100 text-indigo-800 hover:bg-indigo-200 flex items-center gap-2"
+              >
+                Tag: {tagFilter} <X size={14} />
+              </button>
+            )}
           </div>
         </div>
 
@@ -501,21 +657,90 @@ const JourneyTracker = () => {
                       <div className="flex items-center gap-2">
                         <Calendar size={16} className="text-indigo-600" />
                         <span>
-                          {new Date(journey.startDate).toLocaleDateString()} - {new Date(journey.endDate).toLocaleDateString()}
+                          {formatDate(journey.startDate)} - {formatDate(journey.endDate)}
                         </span>
+                        {getDeadlineState(journey) === 'overdue' && (
+                          <span className="px-2 py-0.5 rounded-full text-xs font-semibold bg-red-100 text-red-700">
+                            {describeDeadline(journey)}
+                          </span>
+                        )}
                       </div>
-                      <div className="flex items-center gap-2">
+                      <div className="flex items-center gap-2 flex-wrap">
                         <Flag size={16} className="text-indigo-600" />
-                        <span>{journey.destinations}</span>
+                        {/* Clicking a tag shows only journeys with it; clicking it again shows all */}
+                        {(journey.tags || []).map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => setTagFilter(tagFilter && tagFilter.toLowerCase() === tag.toLowerCase() ? null : tag)}
+                            className="px-2 py-0.5 rounded-full text-xs font-semibold border"
+                            style={{ color: getTagColor(tag), borderColor: getTagColor(tag) }}
+                          >
+                            {tag}
+                          </button>
+                        ))}
                       </div>
                     </div>
 
-                    {/* Notes Section */}
+                    {/* Notes Section - Markdown, escaped by core/markdown.js before it is inserted */}
                     {journey.notes && (
-                      <div className="mt-3 p-3 bg-gray-50 rounded-lg">
-                        <p className="text-sm text-gray-700">{journey.notes}</p>
-                      </div>
+                      <div
+                        className={`mt-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-700 ${MARKDOWN_CLASSES}`}
+                        dangerouslySetInnerHTML={{ __html: renderMarkdown(journey.notes) }}
+                      />
                     )}
+
+                    {/* Journal - dated entries, added right here on the card */}
+                    <details className="mt-3 text-sm">
+                      <summary className="cursor-pointer text-gray-600">
+                        Journal ({(journey.journal || []).length} entries)
+                      </summary>
+                      <div className="flex gap-2 mt-2">
+                        <textarea
+                          value={journalDrafts[journey.id] || ''}
+                          onChange={(e) => setJournalDrafts({ ...journalDrafts, [journey.id]: e.target.value })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                              e.preventDefault();
+                              handleAddJournalEntry(journey);
+                            }
+                          }}
+                          rows="2"
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
+                          placeholder="What did you learn? Markdown works, Ctrl+Enter saves"
+                        />
+                        <button
+                          onClick={() => handleAddJournalEntry(journey)}
+                          className="px-3 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 self-start"
+                        >
+                          Add
+                        </button>
+                      </div>
+                      {groupByDay(journey).map(group => (
+                        <div key={group.day} className="mt-3">
+                          <p className="text-xs font-semibold text-gray-500 mb-1">
+                            {formatDate(group.day, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                          </p>
+                          {group.entries.map(entry => (
+                            <div key={entry.id} className="flex items-start gap-2 py-1">
+                              <span className="text-xs text-gray-500 whitespace-nowrap">
+                                {new Date(entry.at).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                              </span>
+                              <div
+                                className={`flex-1 min-w-0 text-gray-700 ${MARKDOWN_CLASSES}`}
+                                dangerouslySetInnerHTML={{ __html: renderMarkdown(entry.text) }}
+                              />
+                              <button
+                                onClick={() => handleRemoveJournalEntry(journey, entry.id)}
+                                className="text-gray-400 hover:text-red-600"
+                                title="Remove entry"
+                              >
+                                <X size={14} />
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      ))}
+                    </details>
                   </div>
 
                   {/* Action Buttons */}
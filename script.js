@@ -1,10 +1,50 @@
 // ===========================================
 // LEARNING JOURNEY TRACKER - JAVASCRIPT
 // ===========================================
+// Requires core/topics.js, core/migrations.js, core/storage.js, core/graph.js,
+// core/sessions.js, core/markdown.js, core/journal.js, core/history.js,
+// core/trash.js, core/deadlines.js, core/tags.js, core/board.js,
+// core/calendar.js, core/sync.js and core/store.js to be loaded first.
+
+const {
+    filterTopics, computeStats, getLinks, generateId,
+    getProgress, normalizeMilestones, milestoneProgress, toggleMilestone, hasTag
+} = MasteryOS.topics;
+const sessions = MasteryOS.sessions;
+const journal = MasteryOS.journal;
+const { render: renderMarkdown } = MasteryOS.markdown;
+const { describeEntry } = MasteryOS.history;
+const deadlines = MasteryOS.deadlines;
+const { getTagColor } = MasteryOS.tags;
+const board = MasteryOS.board;
+const calendar = MasteryOS.calendar;
+
+// Display labels for the canonical statuses
+const STATUS_LABELS = {
+    'planning': 'Not Started',
+    'ongoing': 'In Progress',
+    'completed': 'Completed'
+};
+
+// This page's form and filter buttons still use the older status values;
+// the core maps them back to the canonical ones on save and filter
+const STATUS_FORM_VALUES = {
+    'planning': 'not-started',
+    'ongoing': 'in-progress',
+    'completed': 'completed'
+};
 
 let topics = [];
 let currentFilter = 'all';
+let activeTag = null;
+let currentView = 'list';
+let boardFocusId = null;
 let editingTopicId = null;
+let formMilestones = [];
+let timerInterval = null;
+const openTimeLogs = new Set();
+const openJournals = new Set();
+const openHistories = new Set();
 
 // DOM ELEMENT REFERENCES
 const modal = document.getElementById('topic-modal');
@@ -21,79 +61,75 @@ const startDateInput = document.getElementById('start-date');
 const targetDateInput = document.getElementById('target-date');
 const progressInput = document.getElementById('progress');
 const progressValueSpan = document.getElementById('progress-value');
+const tagsInput = document.getElementById('tags');
 const resourcesInput = document.getElementById('resources');
 const notesInput = document.getElementById('notes');
+const milestoneEditor = document.getElementById('milestone-editor');
+const addMilestoneBtn = document.getElementById('add-milestone-btn');
 const journeyList = document.getElementById('journey-list');
 const emptyState = document.getElementById('empty-state');
 const statNotStarted = document.getElementById('stat-not-started');
 const statInProgress = document.getElementById('stat-in-progress');
 const statCompleted = document.getElementById('stat-completed');
 const statTotal = document.getElementById('stat-total');
+const statHoursTotal = document.getElementById('stat-hours-total');
+const statHoursWeek = document.getElementById('stat-hours-week');
+const statOverdue = document.getElementById('stat-overdue');
 const filterButtons = document.querySelectorAll('.filter-btn');
+const viewButtons = document.querySelectorAll('.view-btn');
 
-// LOCALSTORAGE FUNCTIONS
-function loadTopics() {
-    try {
-        const stored = localStorage.getItem('learningTopics');
-        return stored ? JSON.parse(stored) : [];
-    } catch (error) {
-        console.error('Error loading topics:', error);
-        return [];
-    }
-}
+// SHARED STORE (same records as mastery_os_fixed.html and journey-tracker.jsx)
+const store = MasteryOS.store.createStore({
+    onSaveError: () => alert('Error saving data. Storage might be full.'),
+    onMigrate: reportMigration,
+    sync: MasteryOS.sync.createTabSync(),
+    onRemoteChange: handleRemoteChange
+});
 
-function saveTopics(topicsToSave) {
-    try {
-        localStorage.setItem('learningTopics', JSON.stringify(topicsToSave));
-    } catch (error) {
-        console.error('Error saving topics:', error);
-        alert('Error saving data. Storage might be full.');
+store.subscribe(updatedTopics => {
+    topics = updatedTopics;
+});
+
+// Another tab saved changes: show them, and ask before the open form goes stale
+function handleRemoteChange({ changed, removed }) {
+    renderTopics();
+    updateStatistics();
+    if (!editingTopicId || !modal.classList.contains('active')) return;
+    if (removed.includes(editingTopicId)) {
+        alert('This topic was deleted in another tab. Saving will add it again.');
+    } else if (changed.includes(editingTopicId) && confirm('This topic was changed in another tab.\n\nLoad the new version? (Cancel keeps your edits, which will overwrite theirs.)')) {
+        populateForm(getTopicById(editingTopicId));
     }
 }
 
 // CRUD OPERATIONS
 function createTopic(topicData) {
-    const newTopic = {
-        id: Date.now(),
-        ...topicData,
-        createdAt: new Date().toISOString()
-    };
-    topics.unshift(newTopic);
-    saveTopics(topics);
-    return newTopic;
+    return store.createTopic(topicData);
 }
 
 function getTopicById(id) {
-    return topics.find(topic => topic.id === id);
+    return store.getTopicById(id);
 }
 
 function updateTopic(id, updatedData) {
-    const index = topics.findIndex(topic => topic.id === id);
-    if (index !== -1) {
-        topics[index] = { ...topics[index], ...updatedData };
-        saveTopics(topics);
-        return topics[index];
-    }
-    return null;
+    return store.updateTopic(id, updatedData);
 }
 
 function deleteTopic(id) {
-    const initialLength = topics.length;
-    topics = topics.filter(topic => topic.id !== id);
-    if (topics.length < initialLength) {
-        saveTopics(topics);
-        return true;
-    }
-    return false;
+    return store.deleteTopic(id);
 }
 
 // UI RENDERING
 function renderTopics() {
-    let filteredTopics = topics;
-    if (currentFilter !== 'all') {
-        filteredTopics = topics.filter(topic => topic.status === currentFilter);
+    journeyList.classList.toggle('board', currentView === 'board' && currentFilter !== 'trash');
+    if (currentFilter === 'trash') {
+        renderTrash();
+        return;
     }
     
+    const filteredTopics = getVisibleTopics();
+    const drafts = saveCardDrafts();
+    
     if (filteredTopics.length === 0) {
         journeyList.innerHTML = '';
         emptyState.classList.add('visible');
@@ -101,34 +137,143 @@ function renderTopics() {
     }
     
     emptyState.classList.remove('visible');
+    if (currentView === 'board') {
+        renderBoard(filteredTopics);
+        return;
+    }
     const topicsHTML = filteredTopics.map(topic => createTopicCard(topic)).join('');
     journeyList.innerHTML = topicsHTML;
     attachTopicEventListeners();
+    restoreCardDrafts(drafts);
+    updateTimerDisplays();
+}
+
+// Cards are rebuilt on every change, here or in another tab; whatever is
+// typed into a card's time log or journal moves over to the new card
+const DRAFT_FIELDS = '.session-entry input, .journal-text';
+
+function saveCardDrafts() {
+    return Array.from(journeyList.querySelectorAll(DRAFT_FIELDS))
+        .filter(field => field.value || field === document.activeElement)
+        .map(field => ({
+            id: field.closest('.journey-card').getAttribute('data-id'),
+            name: field.className,
+            value: field.value,
+            focused: field === document.activeElement,
+            selection: field === document.activeElement && field.selectionStart !== null ? [field.selectionStart, field.selectionEnd] : null
+        }));
+}
+
+function restoreCardDrafts(drafts) {
+    drafts.forEach(draft => {
+        const card = journeyList.querySelector(`.journey-card[data-id="${draft.id}"]`);
+        const field = card && Array.from(card.querySelectorAll(DRAFT_FIELDS)).find(el => el.className === draft.name);
+        if (!field) return;
+        field.value = draft.value;
+        if (!draft.focused) return;
+        field.focus();
+        if (draft.selection) field.setSelectionRange(...draft.selection);
+    });
 }
 
 function createTopicCard(topic) {
     const startDate = topic.startDate ? formatDate(topic.startDate) : 'Not set';
-    const targetDate = topic.targetDate ? formatDate(topic.targetDate) : 'Not set';
-    const statusDisplay = topic.status.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    const targetDate = topic.endDate ? formatDate(topic.endDate) : 'Not set';
+    const statusDisplay = STATUS_LABELS[topic.status];
+    const deadline = deadlines.getDeadlineState(topic);
+    const deadlineBadge = deadline === 'overdue' || deadline === 'due-soon'
+        ? `<span class="deadline-badge ${deadline}">⏰ ${deadlines.describeDeadline(topic)}</span>`
+        : '';
+    const tagChips = (topic.tags || []).map((tag, index) => `
+        <button type="button" class="tag-chip ${activeTag && tag.toLowerCase() === activeTag.toLowerCase() ? 'active' : ''}"
+            data-id="${topic.id}" data-index="${index}" style="--tag-color: ${getTagColor(tag)}"
+            title="Show only topics with this tag">#${escapeHtml(tag)}</button>
+    `).join('');
+    const progress = getProgress(topic);
+    const milestones = topic.milestones || [];
+    const doneCount = milestones.filter(m => m.done).length;
+    
+    const milestonesList = milestones
+        .map(m => `
+            <li class="milestone-item ${m.done ? 'done' : ''}">
+                <label>
+                    <input type="checkbox" class="milestone-toggle" data-topic-id="${topic.id}" data-milestone-id="${m.id}" ${m.done ? 'checked' : ''}>
+                    <span>${escapeHtml(m.title)}</span>
+                </label>
+                ${m.dueDate ? `<span class="milestone-due">${formatDate(m.dueDate)}</span>` : ''}
+            </li>
+        `)
+        .join('');
+    
+    const timeLog = (topic.sessions || [])
+        .slice()
+        .reverse()
+        .map(session => `
+            <li class="session-item">
+                <span>${formatSessionTime(session)}</span>
+                <span class="session-duration">${sessions.formatDuration(session.duration)}</span>
+                <span class="session-note">${escapeHtml(session.note)}</span>
+                <button type="button" class="btn-icon delete session-remove-btn" data-topic-id="${topic.id}" data-session-id="${session.id}" title="Remove session">✕</button>
+            </li>
+        `)
+        .join('');
+    
+    const timerControls = topic.activeSession
+        ? `
+            <span class="timer-clock" data-timer-for="${topic.id}"></span>
+            <button type="button" class="action-btn timer-stop-btn" data-id="${topic.id}">⏹️ Stop</button>
+        `
+        : `
+            <button type="button" class="action-btn timer-start-btn" data-id="${topic.id}">▶️ Start</button>
+            <button type="button" class="action-btn timer-pomodoro-btn" data-id="${topic.id}" title="${sessions.POMODORO.work} min focus / ${sessions.POMODORO.rest} min break">🍅 Pomodoro</button>
+        `;
+    
+    const journalLog = journal.groupByDay(topic)
+        .map(group => `
+            <li class="journal-day">
+                <p class="journal-day-title">${deadlines.formatDate(group.day, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}</p>
+                ${group.entries.map(entry => `
+                    <div class="journal-item">
+                        <span class="journal-time">${new Date(entry.at).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}</span>
+                        <div class="journal-text-body markdown">${renderMarkdown(entry.text)}</div>
+                        <button type="button" class="btn-icon delete journal-remove-btn" data-topic-id="${topic.id}" data-entry-id="${entry.id}" title="Remove entry">✕</button>
+                    </div>
+                `).join('')}
+            </li>
+        `)
+        .join('');
     
-    const resourcesList = topic.resources
-        .split(',')
-        .map(url => url.trim())
-        .filter(url => url)
+    const historyList = store.getActivity(topic.id)
+        .reverse()
+        .map(entry => `
+            <li class="history-item">
+                <div class="history-head">
+                    <span class="history-type">${describeEntry(entry)}</span>
+                    <span class="history-time">${new Date(entry.at).toLocaleString('en-US')}</span>
+                </div>
+                ${entry.changes.map(c => `
+                    <div class="history-change"><strong>${escapeHtml(c.field)}:</strong> ${escapeHtml(c.from) || '—'} → ${escapeHtml(c.to) || '—'}</div>
+                `).join('')}
+            </li>
+        `)
+        .join('');
+    
+    const resourcesList = getLinks(topic)
         .map(url => `
-            <li><a href="${url}" target="_blank" rel="noopener noreferrer">🔗 ${truncateUrl(url)}</a></li>
+            <li><a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer">🔗 ${escapeHtml(truncateUrl(url))}</a></li>
         `)
         .join('');
     
     return `
-        <div class="journey-card" data-id="${topic.id}" data-status="${topic.status}">
+        <div class="journey-card ${deadline === 'overdue' ? 'overdue' : ''}" data-id="${topic.id}" data-status="${topic.status}">
             <div class="journey-card-header">
                 <div>
-                    <h3 class="journey-card-title">${escapeHtml(topic.name)}</h3>
+                    <h3 class="journey-card-title">${escapeHtml(topic.title)}</h3>
                     <p class="journey-card-category">${escapeHtml(topic.category)}</p>
                 </div>
                 <span class="status-badge ${topic.status}">${statusDisplay}</span>
             </div>
+            ${deadlineBadge}
             <div class="journey-card-body">
                 <div class="journey-info">
                     <div class="journey-info-item">
@@ -137,21 +282,49 @@ function createTopicCard(topic) {
                     </div>
                     <div class="journey-info-item">
                         <span class="info-icon">🎯</span>
-                        <span>Target: ${targetDate}</span>
+                        <span class="${deadline === 'overdue' ? 'target-overdue' : ''}">Target: ${targetDate}</span>
                     </div>
                 </div>
+                ${tagChips ? `<div class="tag-list">${tagChips}</div>` : ''}
                 <div class="progress-container">
                     <div class="progress-label">
-                        <span>Progress</span>
-                        <span>${topic.progress}%</span>
+                        <span>Progress${milestones.length ? ` (${doneCount}/${milestones.length} milestones)` : ''}</span>
+                        <span>${progress}%</span>
                     </div>
                     <div class="progress-bar">
-                        <div class="progress-fill" style="width: ${topic.progress}%"></div>
+                        <div class="progress-fill" style="width: ${progress}%"></div>
                     </div>
                 </div>
+                ${milestonesList ? `<ul class="milestone-list">${milestonesList}</ul>` : ''}
+                <div class="time-tracker">
+                    <div class="time-summary">
+                        <span>⏱️ Total: ${sessions.formatHours(sessions.totalMinutes(topic))}</span>
+                        <span>This week: ${sessions.formatHours(sessions.weekMinutes(topic))}</span>
+                    </div>
+                    <div class="timer-controls">${timerControls}</div>
+                    <details class="time-log" data-id="${topic.id}" ${openTimeLogs.has(topic.id) ? 'open' : ''}>
+                        <summary>Time log (${(topic.sessions || []).length} sessions)</summary>
+                        ${timeLog ? `<ul class="session-list">${timeLog}</ul>` : ''}
+                        <div class="session-entry">
+                            <input type="datetime-local" class="form-input session-start" title="Started at">
+                            <input type="number" class="form-input session-minutes" min="1" step="1" placeholder="Min" title="Minutes">
+                            <input type="text" class="form-input session-note" placeholder="Note">
+                            <button type="button" class="action-btn session-add-btn" data-id="${topic.id}">Log</button>
+                        </div>
+                    </details>
+                </div>
+                <details class="journal-log" data-id="${topic.id}" ${openJournals.has(topic.id) ? 'open' : ''}>
+                    <summary>📓 Journal (${(topic.journal || []).length} entries)</summary>
+                    <div class="journal-entry">
+                        <textarea class="form-input journal-text" data-id="${topic.id}" rows="2" placeholder="What did you learn? Markdown works, Ctrl+Enter saves"></textarea>
+                        <button type="button" class="action-btn journal-add-btn" data-id="${topic.id}">Add</button>
+                    </div>
+                    ${journalLog ? `<ul class="journal-list">${journalLog}</ul>` : ''}
+                </details>
                 ${topic.notes ? `
                     <div class="journey-notes">
-                        <strong>Notes:</strong><br>${escapeHtml(topic.notes)}
+                        <strong>Notes:</strong>
+                        <div class="markdown">${renderMarkdown(topic.notes)}</div>
                     </div>
                 ` : ''}
                 ${resourcesList ? `
@@ -160,16 +333,231 @@ function createTopicCard(topic) {
                         <ul class="resources-list">${resourcesList}</ul>
                     </div>
                 ` : ''}
+                <details class="topic-history" data-id="${topic.id}" ${openHistories.has(topic.id) ? 'open' : ''}>
+                    <summary>🕘 History</summary>
+                    ${historyList ? `<ul class="history-list">${historyList}</ul>` : '<p class="history-empty">No changes recorded yet.</p>'}
+                </details>
             </div>
             <div class="journey-card-actions">
                 <button class="action-btn edit-btn" data-id="${topic.id}">✏️ Edit</button>
                 <button class="action-btn delete-btn" data-id="${topic.id}">🗑️ Delete</button>
+                <button class="action-btn ics-btn" data-id="${topic.id}" title="Start and target date as calendar events (.ics)">📆 Calendar</button>
+            </div>
+        </div>
+    `;
+}
+
+// Topics the current filter and tag show, in list and board view alike
+function getVisibleTopics() {
+    return (currentFilter === 'overdue' || currentFilter === 'due-soon'
+        ? deadlines.filterByDeadline(topics, currentFilter)
+        : filterTopics(topics, { status: currentFilter })
+    ).filter(topic => !activeTag || hasTag(topic, activeTag));
+}
+
+// BOARD VIEW
+// One column per status; dragging a card (or Shift+arrow keys) changes its
+// status and its place in the column, saved as the topic's rank
+function renderBoard(filteredTopics) {
+    const columns = board.groupColumns(filteredTopics);
+    journeyList.innerHTML = board.COLUMNS.map(status => `
+        <div class="board-column" data-status="${status}">
+            <div class="board-column-header">
+                <span class="status-badge ${status}">${STATUS_LABELS[status]}</span>
+                <span class="board-column-count">${columns[status].length}</span>
+            </div>
+            ${columns[status].map(createBoardCard).join('')}
+        </div>
+    `).join('');
+    attachBoardEventListeners();
+
+    if (boardFocusId !== null) {
+        const card = journeyList.querySelector(`.board-card[data-id="${boardFocusId}"]`);
+        if (card) card.focus();
+        boardFocusId = null;
+    }
+}
+
+function createBoardCard(topic) {
+    const deadline = deadlines.getDeadlineState(topic);
+    return `
+        <div class="board-card ${deadline === 'overdue' ? 'overdue' : ''}" data-id="${topic.id}" tabindex="0" draggable="true"
+            title="Drag, or use Shift+arrow keys, to move. Enter edits.">
+            <h4 class="board-card-title">${escapeHtml(topic.title)}</h4>
+            <p class="journey-card-category">${escapeHtml(topic.category)}</p>
+            ${deadline === 'overdue' || deadline === 'due-soon'
+                ? `<span class="deadline-badge ${deadline}">⏰ ${deadlines.describeDeadline(topic)}</span>`
+                : ''}
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${getProgress(topic)}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+function attachBoardEventListeners() {
+    journeyList.querySelectorAll('.board-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', card.getAttribute('data-id'));
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => {
+            card.classList.remove('dragging');
+            journeyList.querySelectorAll('.board-column.drop-target').forEach(column => column.classList.remove('drop-target'));
+        });
+        card.addEventListener('keydown', handleBoardKey);
+        card.addEventListener('dblclick', () => handleEditTopic(parseInt(card.getAttribute('data-id'))));
+    });
+
+    journeyList.querySelectorAll('.board-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            column.classList.add('drop-target');
+        });
+        column.addEventListener('dragleave', (e) => {
+            if (!column.contains(e.relatedTarget)) column.classList.remove('drop-target');
+        });
+        column.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const topicId = parseInt(e.dataTransfer.getData('text/plain'));
+            if (!topicId) return;
+            // Dropped before the first card whose middle is below the pointer
+            const cards = Array.from(column.querySelectorAll('.board-card:not(.dragging)'));
+            const index = cards.findIndex(card => {
+                const box = card.getBoundingClientRect();
+                return e.clientY < box.top + box.height / 2;
+            });
+            handleMoveCard(topicId, column, index === -1 ? cards.length : index);
+        });
+    });
+}
+
+// `index` counts the other cards shown in the column
+function handleMoveCard(topicId, column, index) {
+    const visibleIds = Array.from(column.querySelectorAll('.board-card'))
+        .map(card => parseInt(card.getAttribute('data-id')))
+        .filter(id => id !== topicId);
+    try {
+        store.updateTopics(board.moveCard(topics, topicId, column.getAttribute('data-status'), index, visibleIds));
+    } catch (error) {
+        alert(`Cannot move topic: ${error.message}`);
+        return;
+    }
+    renderTopics();
+    updateStatistics();
+}
+
+// Arrow keys move the focus between cards, Shift+arrows move the card itself
+function handleBoardKey(e) {
+    const card = e.currentTarget;
+    const topicId = parseInt(card.getAttribute('data-id'));
+    const columns = Array.from(journeyList.querySelectorAll('.board-column'));
+    const column = card.closest('.board-column');
+    const cards = Array.from(column.querySelectorAll('.board-card'));
+    const index = cards.indexOf(card);
+    const vertical = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    const horizontal = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    const targetColumn = horizontal ? columns[columns.indexOf(column) + horizontal] : null;
+
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        handleEditTopic(topicId);
+    } else if (vertical) {
+        e.preventDefault();
+        const target = index + vertical;
+        if (target < 0 || target >= cards.length) return;
+        if (e.shiftKey) {
+            boardFocusId = topicId;
+            handleMoveCard(topicId, column, target);
+        } else {
+            cards[target].focus();
+        }
+    } else if (horizontal) {
+        e.preventDefault();
+        if (!targetColumn) return;
+        const targetCards = targetColumn.querySelectorAll('.board-card');
+        if (e.shiftKey) {
+            boardFocusId = topicId;
+            handleMoveCard(topicId, targetColumn, index);
+        } else if (targetCards.length) {
+            targetCards[Math.min(index, targetCards.length - 1)].focus();
+        }
+    }
+}
+
+function setView(view) {
+    currentView = view;
+    viewButtons.forEach(btn => btn.classList.toggle('active', btn.getAttribute('data-view') === view));
+    renderTopics();
+}
+
+// Trashed topics with restore / delete-forever actions, plus bulk actions
+function renderTrash() {
+    const trash = store.getTrash();
+    
+    if (trash.length === 0) {
+        journeyList.innerHTML = '';
+        emptyState.classList.add('visible');
+        return;
+    }
+    
+    emptyState.classList.remove('visible');
+    const retention = MasteryOS.trash.getRetentionDays();
+    const cardsHTML = trash.map(topic => {
+        const left = MasteryOS.trash.daysLeft(topic, retention);
+        return `
+            <div class="journey-card trashed" data-id="${topic.id}" data-status="${topic.status}">
+                <div class="journey-card-header">
+                    <div>
+                        <h3 class="journey-card-title">${escapeHtml(topic.title)}</h3>
+                        <p class="journey-card-category">${escapeHtml(topic.category)}</p>
+                    </div>
+                </div>
+                <div class="journey-card-body">
+                    <p class="trash-info">🗑️ Deleted ${new Date(topic.deletedAt).toLocaleString('en-US')}${left !== null ? ` · purged in ${left} day(s)` : ''}</p>
+                </div>
+                <div class="journey-card-actions">
+                    <button class="action-btn restore-btn" data-id="${topic.id}">♻️ Restore</button>
+                    <button class="action-btn purge-btn" data-id="${topic.id}">❌ Delete Forever</button>
+                </div>
             </div>
+        `;
+    }).join('');
+    
+    journeyList.innerHTML = `
+        <div class="trash-actions">
+            <button class="action-btn restore-all-btn">♻️ Restore All</button>
+            <button class="action-btn empty-trash-btn">❌ Empty Trash</button>
         </div>
+        ${cardsHTML}
     `;
+    
+    journeyList.querySelectorAll('.restore-btn').forEach(button => {
+        button.addEventListener('click', () => handleRestoreTopics([parseInt(button.getAttribute('data-id'))]));
+    });
+    journeyList.querySelectorAll('.purge-btn').forEach(button => {
+        button.addEventListener('click', () => handlePurgeTopics([parseInt(button.getAttribute('data-id'))]));
+    });
+    journeyList.querySelector('.restore-all-btn').addEventListener('click', () => {
+        handleRestoreTopics(trash.map(topic => topic.id));
+    });
+    journeyList.querySelector('.empty-trash-btn').addEventListener('click', () => {
+        handlePurgeTopics(trash.map(topic => topic.id));
+    });
 }
 
 function attachTopicEventListeners() {
+    // Clicking a tag shows only topics carrying it; clicking it again shows all
+    document.querySelectorAll('.tag-chip').forEach(chip => {
+        chip.addEventListener('click', function() {
+            const topic = getTopicById(parseInt(this.getAttribute('data-id')));
+            const tag = topic.tags[parseInt(this.getAttribute('data-index'))];
+            activeTag = activeTag && activeTag.toLowerCase() === tag.toLowerCase() ? null : tag;
+            renderTopics();
+        });
+    });
+
     document.querySelectorAll('.edit-btn').forEach(button => {
         button.addEventListener('click', function() {
             const topicId = parseInt(this.getAttribute('data-id'));
@@ -183,6 +571,97 @@ function attachTopicEventListeners() {
             handleDeleteTopic(topicId);
         });
     });
+    
+    document.querySelectorAll('.ics-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleExportCalendar(parseInt(this.getAttribute('data-id')));
+        });
+    });
+    
+    document.querySelectorAll('.milestone-toggle').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            handleToggleMilestone(parseInt(this.getAttribute('data-topic-id')), parseInt(this.getAttribute('data-milestone-id')));
+        });
+    });
+    
+    document.querySelectorAll('.timer-start-btn, .timer-pomodoro-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleStartTimer(parseInt(this.getAttribute('data-id')), this.classList.contains('timer-pomodoro-btn'));
+        });
+    });
+    
+    document.querySelectorAll('.timer-stop-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleStopTimer(parseInt(this.getAttribute('data-id')));
+        });
+    });
+    
+    document.querySelectorAll('.time-log').forEach(details => {
+        details.addEventListener('toggle', function() {
+            const topicId = parseInt(this.getAttribute('data-id'));
+            if (this.open) {
+                openTimeLogs.add(topicId);
+            } else {
+                openTimeLogs.delete(topicId);
+            }
+        });
+    });
+    
+    document.querySelectorAll('.journal-log').forEach(details => {
+        details.addEventListener('toggle', function() {
+            const topicId = parseInt(this.getAttribute('data-id'));
+            if (this.open) {
+                openJournals.add(topicId);
+            } else {
+                openJournals.delete(topicId);
+            }
+        });
+    });
+    
+    document.querySelectorAll('.topic-history').forEach(details => {
+        details.addEventListener('toggle', function() {
+            const topicId = parseInt(this.getAttribute('data-id'));
+            if (this.open) {
+                openHistories.add(topicId);
+            } else {
+                openHistories.delete(topicId);
+            }
+        });
+    });
+    
+    document.querySelectorAll('.session-add-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleLogSession(parseInt(this.getAttribute('data-id')), this.closest('.session-entry'));
+        });
+    });
+    
+    document.querySelectorAll('.session-remove-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleRemoveSession(parseInt(this.getAttribute('data-topic-id')), parseInt(this.getAttribute('data-session-id')));
+        });
+    });
+    
+    document.querySelectorAll('.journal-add-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleAddJournalEntry(parseInt(this.getAttribute('data-id')), this.closest('.journal-entry').querySelector('.journal-text'));
+        });
+    });
+    
+    // Ctrl+Enter saves the entry
+    document.querySelectorAll('.journal-text').forEach(input => {
+        input.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                handleAddJournalEntry(parseInt(this.getAttribute('data-id')), this);
+            }
+        });
+    });
+    
+    document.querySelectorAll('.journal-remove-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            handleRemoveJournalEntry(parseInt(this.getAttribute('data-topic-id')), parseInt(this.getAttribute('data-entry-id')));
+        });
+    });
 }
 
 // MODAL MANAGEMENT
@@ -198,6 +677,8 @@ function openModal(mode = 'add', topicData = null) {
         editingTopicId = null;
         topicForm.reset();
         progressValueSpan.textContent = '0';
+        formMilestones = [];
+        renderMilestoneEditor();
     }
     modal.classList.add('active');
     topicNameInput.focus();
@@ -208,18 +689,94 @@ function closeModal() {
     topicForm.reset();
     editingTopicId = null;
     progressValueSpan.textContent = '0';
+    formMilestones = [];
+    renderMilestoneEditor();
 }
 
 function populateForm(topic) {
-    topicNameInput.value = topic.name;
+    topicNameInput.value = topic.title;
     categoryInput.value = topic.category;
-    statusInput.value = topic.status;
+    statusInput.value = STATUS_FORM_VALUES[topic.status];
     startDateInput.value = topic.startDate;
-    targetDateInput.value = topic.targetDate;
+    targetDateInput.value = topic.endDate;
     progressInput.value = topic.progress;
     progressValueSpan.textContent = topic.progress;
-    resourcesInput.value = topic.resources;
+    if (tagsInput) tagsInput.value = (topic.tags || []).join(', ');
+    resourcesInput.value = getLinks(topic).join(', ');
     notesInput.value = topic.notes;
+    formMilestones = (topic.milestones || []).slice();
+    renderMilestoneEditor();
+}
+
+// MILESTONE EDITOR
+function renderMilestoneEditor() {
+    if (!milestoneEditor) return syncProgressWithMilestones();
+    milestoneEditor.innerHTML = '';
+    formMilestones.forEach((m, index) => {
+        const row = document.createElement('div');
+        row.className = 'milestone-row';
+        row.dataset.id = m.id;
+        row.innerHTML = `
+            <input type="checkbox" class="ms-done" title="Done">
+            <input type="text" class="form-input ms-title" placeholder="Milestone">
+            <input type="date" class="form-input ms-due" title="Due date">
+            <input type="number" class="form-input ms-weight" min="1" step="1" title="Weight">
+            <button type="button" class="btn-icon" data-action="up" data-index="${index}" title="Move up">↑</button>
+            <button type="button" class="btn-icon" data-action="down" data-index="${index}" title="Move down">↓</button>
+            <button type="button" class="btn-icon delete" data-action="remove" data-index="${index}" title="Remove">✕</button>
+        `;
+        row.querySelector('.ms-done').checked = m.done;
+        row.querySelector('.ms-title').value = m.title;
+        row.querySelector('.ms-due').value = m.dueDate || '';
+        row.querySelector('.ms-weight').value = m.weight || 1;
+        milestoneEditor.appendChild(row);
+    });
+    syncProgressWithMilestones();
+}
+
+// Without the editor in the page, milestones are kept as they are
+function collectMilestoneRows() {
+    if (!milestoneEditor) return formMilestones.slice();
+    return Array.from(milestoneEditor.querySelectorAll('.milestone-row')).map(row => ({
+        id: parseInt(row.dataset.id),
+        title: row.querySelector('.ms-title').value,
+        done: row.querySelector('.ms-done').checked,
+        dueDate: row.querySelector('.ms-due').value,
+        weight: Number(row.querySelector('.ms-weight').value) || 1
+    }));
+}
+
+// The slider is only used while a topic has no milestones
+function syncProgressWithMilestones() {
+    const milestones = normalizeMilestones(collectMilestoneRows());
+    progressInput.disabled = milestones.length > 0;
+    if (milestones.length > 0) {
+        progressInput.value = milestoneProgress(milestones);
+        progressValueSpan.textContent = progressInput.value;
+    }
+}
+
+function handleMilestoneEditorClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    
+    const index = parseInt(button.getAttribute('data-index'));
+    formMilestones = collectMilestoneRows();
+    if (button.dataset.action === 'remove') {
+        formMilestones.splice(index, 1);
+    } else {
+        const target = index + (button.dataset.action === 'up' ? -1 : 1);
+        if (target < 0 || target >= formMilestones.length) return;
+        [formMilestones[index], formMilestones[target]] = [formMilestones[target], formMilestones[index]];
+    }
+    renderMilestoneEditor();
+}
+
+function addMilestoneRow() {
+    formMilestones = collectMilestoneRows();
+    formMilestones.push({ id: generateId(formMilestones), title: '', done: false, dueDate: '', weight: 1 });
+    renderMilestoneEditor();
+    milestoneEditor.querySelector('.milestone-row:last-child .ms-title').focus();
 }
 
 // FORM HANDLING
@@ -227,22 +784,27 @@ function handleFormSubmit(e) {
     e.preventDefault();
     
     const formData = {
-        name: topicNameInput.value.trim(),
+        title: topicNameInput.value.trim(),
         category: categoryInput.value,
         status: statusInput.value,
         startDate: startDateInput.value,
-        targetDate: targetDateInput.value,
+        endDate: targetDateInput.value,
         progress: parseInt(progressInput.value),
-        resources: resourcesInput.value.trim(),
-        notes: notesInput.value.trim()
+        links: resourcesInput.value.trim(),
+        notes: notesInput.value.trim(),
+        milestones: collectMilestoneRows()
     };
+    if (tagsInput) formData.tags = tagsInput.value;
     
-    if (!formData.name || !formData.category) {
+    if (!formData.title || !formData.category) {
         alert('Please fill in all required fields');
         return;
     }
     
-    if (editingTopicId) {
+    if (editingTopicId && !getTopicById(editingTopicId)) {
+        // Deleted in another tab while the form was open
+        createTopic(formData);
+    } else if (editingTopicId) {
         updateTopic(editingTopicId, formData);
     } else {
         createTopic(formData);
@@ -260,8 +822,17 @@ function handleEditTopic(topicId) {
     }
 }
 
+function handleToggleMilestone(topicId, milestoneId) {
+    const topic = getTopicById(topicId);
+    if (topic) {
+        updateTopic(topicId, { milestones: toggleMilestone(topic.milestones, milestoneId) });
+        renderTopics();
+        updateStatistics();
+    }
+}
+
 function handleDeleteTopic(topicId) {
-    const confirmed = confirm('Are you sure you want to delete this topic?');
+    const confirmed = confirm('Move this topic to the trash?');
     if (confirmed) {
         deleteTopic(topicId);
         renderTopics();
@@ -269,6 +840,158 @@ function handleDeleteTopic(topicId) {
     }
 }
 
+// STUDY SESSIONS
+// Only one timer runs at a time; starting another logs the running one first
+function handleStartTimer(topicId, pomodoro) {
+    const running = sessions.findActive(topics);
+    if (running) {
+        updateTopic(running.id, sessions.stopSession(running));
+    }
+    updateTopic(topicId, sessions.startSession({ pomodoro }));
+    renderTopics();
+    updateStatistics();
+}
+
+function handleStopTimer(topicId) {
+    const topic = getTopicById(topicId);
+    if (!topic || !topic.activeSession) return;
+    
+    const note = prompt('What did you work on? (optional)', '');
+    if (note === null) return;
+    updateTopic(topicId, sessions.stopSession(topic, note.trim()));
+    renderTopics();
+    updateStatistics();
+}
+
+function handleLogSession(topicId, entryRow) {
+    const topic = getTopicById(topicId);
+    if (!topic) return;
+    
+    try {
+        updateTopic(topicId, sessions.logSession(topic, {
+            start: entryRow.querySelector('.session-start').value,
+            duration: entryRow.querySelector('.session-minutes').value,
+            note: entryRow.querySelector('.session-note').value.trim()
+        }));
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    entryRow.querySelectorAll('input').forEach(input => { input.value = ''; });
+    renderTopics();
+    updateStatistics();
+}
+
+function handleRemoveSession(topicId, sessionId) {
+    const topic = getTopicById(topicId);
+    if (topic && confirm('Remove this session from the time log?')) {
+        updateTopic(topicId, sessions.removeSession(topic, sessionId));
+        renderTopics();
+        updateStatistics();
+    }
+}
+
+// Refreshes the running clock without re-rendering the cards
+function updateTimerDisplays() {
+    const running = sessions.findActive(topics);
+    if (!running) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+        return;
+    }
+    
+    const clock = document.querySelector(`.timer-clock[data-timer-for="${running.id}"]`);
+    if (clock) {
+        const phase = sessions.pomodoroPhase(running.activeSession);
+        clock.textContent = phase
+            ? `${phase.phase === 'work' ? '🍅 Focus' : '☕ Break'} ${phase.round} · ${sessions.formatClock(phase.remainingMs)} left`
+            : `⏱️ ${sessions.formatClock(sessions.elapsedMs(running.activeSession))}`;
+    }
+    if (!timerInterval) {
+        timerInterval = setInterval(updateTimerDisplays, 1000);
+    }
+}
+
+// JOURNAL
+function handleAddJournalEntry(topicId, input) {
+    const topic = getTopicById(topicId);
+    if (!topic || !input.value.trim()) return;
+    
+    try {
+        updateTopic(topicId, journal.addEntry(topic, input.value));
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+    input.value = '';
+    renderTopics();
+}
+
+function handleRemoveJournalEntry(topicId, entryId) {
+    const topic = getTopicById(topicId);
+    if (topic && confirm('Remove this journal entry?')) {
+        updateTopic(topicId, journal.removeEntry(topic, entryId));
+        renderTopics();
+    }
+}
+
+// TRASH
+function handleRestoreTopics(topicIds) {
+    try {
+        store.restoreTopics(topicIds);
+    } catch (error) {
+        alert(`Cannot restore: ${error.message}`);
+        return;
+    }
+    renderTopics();
+    updateStatistics();
+}
+
+function handlePurgeTopics(topicIds) {
+    if (!confirm(`Permanently delete ${topicIds.length} topic(s)? This cannot be undone once you leave the page.`)) return;
+    store.purgeTopics(topicIds);
+    renderTopics();
+    updateStatistics();
+}
+
+// UNDO / REDO
+function handleUndo() {
+    try {
+        if (!store.undo()) return;
+    } catch (error) {
+        alert(`Cannot undo: ${error.message}`);
+        return;
+    }
+    renderTopics();
+    updateStatistics();
+}
+
+function handleRedo() {
+    try {
+        if (!store.redo()) return;
+    } catch (error) {
+        alert(`Cannot redo: ${error.message}`);
+        return;
+    }
+    renderTopics();
+    updateStatistics();
+}
+
+// Text fields keep the browser's own undo
+function handleUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+    }
+}
+
 // FILTER SYSTEM
 function setFilter(filter) {
     currentFilter = filter;
@@ -284,15 +1007,22 @@ function setFilter(filter) {
 
 // STATISTICS
 function updateStatistics() {
-    const notStartedCount = topics.filter(t => t.status === 'not-started').length;
-    const inProgressCount = topics.filter(t => t.status === 'in-progress').length;
-    const completedCount = topics.filter(t => t.status === 'completed').length;
-    const totalCount = topics.length;
+    const stats = computeStats(topics);
+    
+    statNotStarted.textContent = stats.planning;
+    statInProgress.textContent = stats.ongoing;
+    statCompleted.textContent = stats.completed;
+    statTotal.textContent = stats.total;
     
-    statNotStarted.textContent = notStartedCount;
-    statInProgress.textContent = inProgressCount;
-    statCompleted.textContent = completedCount;
-    statTotal.textContent = totalCount;
+    const time = sessions.summarize(topics);
+    if (statHoursTotal) statHoursTotal.textContent = sessions.formatHours(time.totalMinutes);
+    if (statHoursWeek) statHoursWeek.textContent = sessions.formatHours(time.weekMinutes);
+    
+    const due = deadlines.countDeadlines(topics);
+    if (statOverdue) {
+        statOverdue.textContent = due.overdue;
+        statOverdue.title = `${due.dueSoon} due in the next ${deadlines.DUE_SOON_DAYS} days`;
+    }
 }
 
 // EVENT LISTENERS
@@ -312,6 +1042,7 @@ function initializeEventListeners() {
             closeModal();
         }
     });
+    document.addEventListener('keydown', handleUndoShortcut);
     
     topicForm.addEventListener('submit', handleFormSubmit);
     
@@ -319,20 +1050,83 @@ function initializeEventListeners() {
         progressValueSpan.textContent = e.target.value;
     });
     
+    if (milestoneEditor && addMilestoneBtn) {
+        addMilestoneBtn.addEventListener('click', addMilestoneRow);
+        milestoneEditor.addEventListener('click', handleMilestoneEditorClick);
+        milestoneEditor.addEventListener('input', syncProgressWithMilestones);
+        milestoneEditor.addEventListener('change', syncProgressWithMilestones);
+    }
+    
     filterButtons.forEach(button => {
         button.addEventListener('click', () => {
             const filter = button.getAttribute('data-filter');
             setFilter(filter);
         });
     });
+    
+    viewButtons.forEach(button => {
+        button.addEventListener('click', () => setView(button.getAttribute('data-view')));
+    });
+    
+    document.querySelectorAll('.ics-export-btn').forEach(button => {
+        button.addEventListener('click', () => handleExportCalendar(button.getAttribute('data-scope')));
+    });
+}
+
+// MIGRATION REPORT
+function reportMigration(report) {
+    if (report.failed.length === 0) return;
+    
+    const lines = report.failed.map(f => `- ${f.label} (${f.source}): ${f.reason}`);
+    console.warn('Topics that could not be migrated:', report.failed);
+    alert(`Your saved data was upgraded, but ${report.failed.length} record(s) could not be migrated and were set aside:\n${lines.join('\n')}`);
+}
+
+// CALENDAR EXPORT
+// Start and target dates as all-day events; re-importing the file updates
+// the events instead of duplicating them (see core/calendar.js)
+function handleExportCalendar(scope) {
+    const selected = scope === 'all' ? topics
+        : scope === 'filtered' ? getVisibleTopics()
+        : topics.filter(topic => topic.id === scope);
+    if (!calendar.countEvents(selected)) {
+        alert('No start or target dates to export.');
+        return;
+    }
+    
+    const single = typeof scope === 'number';
+    const slug = single ? selected[0].title.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'topic' : scope;
+    downloadFile(
+        calendar.toICS(selected, { name: single ? selected[0].title : 'Learning Journey' }),
+        `learning_journey_${slug}.ics`,
+        'text/calendar'
+    );
+}
+
+// DEADLINE REMINDERS
+// Turned on from mastery_os_fixed.html; the setting is shared per browser
+function checkReminders() {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    deadlines.checkReminders(topics, {
+        notify: topic => new Notification(topic.title, {
+            body: `${deadlines.describeDeadline(topic)} (target ${formatDate(topic.endDate)})`,
+            tag: `deadline-${topic.id}`
+        })
+    });
 }
 
 // UTILITY FUNCTIONS
+// Date-only strings are local days; new Date("2024-06-15") would read UTC
+// midnight and show the day before in the Americas
 function formatDate(dateString) {
-    if (!dateString) return 'Not set';
-    const date = new Date(dateString);
-    const options = { year: 'numeric', month: 'short', day: 'numeric' };
-    return date.toLocaleDateString('en-US', options);
+    return deadlines.formatDate(dateString);
+}
+
+function formatSessionTime(session) {
+    const start = new Date(session.start);
+    const end = new Date(session.end);
+    const time = { hour: '2-digit', minute: '2-digit' };
+    return `${start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} ${start.toLocaleTimeString('en-US', time)}–${end.toLocaleTimeString('en-US', time)}`;
 }
 
 function truncateUrl(url) {
@@ -341,20 +1135,32 @@ function truncateUrl(url) {
     return url.substring(0, maxLength) + '...';
 }
 
+// Also used inside attribute values, where innerHTML would leave quotes as they are
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+function downloadFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
 }
 
 // INITIALIZATION
-function init() {
-    topics = loadTopics();
+async function init() {
+    topics = await store.load();
     renderTopics();
     updateStatistics();
     initializeEventListeners();
+    checkReminders();
+    setInterval(checkReminders, 60 * 60 * 1000);
     console.log('Learning Journey Tracker initialized');
-    console.log(`Loaded ${topics.length} topics from localStorage`);
+    console.log(`Loaded ${topics.length} topics from ${store.backend}`);
 }
 
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,156 @@
+// ===========================================
+// MASTERY OS - REFERENCE SYNC SERVER
+// ===========================================
+//
+// A small REST backend for core/remote.js, storing every record in one JSON
+// file. Plain Node, no dependencies:
+//
+//   node server/sync-server.js [--port 8787] [--data ./sync-data.json]
+//
+// Then set the tracker's sync endpoint to http://localhost:8787/api.
+// SYNC_TOKEN=secret makes every request need "Authorization: Bearer secret";
+// SYNC_ORIGIN limits CORS to one origin (default: any).
+//
+// Every write bumps a global revision and stamps the record with it. A
+// client sends the revision it last saw as `baseRevision`; when the record
+// has moved on since, the write is refused with 409 and the current version.
+//
+//   GET    /api/health                        -> { ok, revision }
+//   GET    /api/topics?since=N                -> { revision, records: [{ id, revision, topic }] }
+//   PUT    /api/topics/:id   { topic, baseRevision } -> { id, revision, topic } | 409 { current }
+//   DELETE /api/topics/:id?baseRevision=N     -> { id, revision, topic: null } | 409 { current }
+//
+// Deleted records stay as tombstones (`topic: null`) so other clients learn
+// about the deletion. Trashed topics are ordinary records with `deletedAt`.
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BODY = 5 * 1024 * 1024;
+
+function option(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] ? process.argv[index + 1] : fallback;
+}
+
+// STORAGE
+function loadDatabase(file) {
+    try {
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return { revision: stored.revision || 0, records: stored.records || {} };
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return { revision: 0, records: {} };
+    }
+}
+
+// Written to a temporary file first, so a crash never leaves half a file
+function saveDatabase(file, db) {
+    const temp = `${file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(db));
+    fs.renameSync(temp, file);
+}
+
+// HTTP
+function send(res, status, body, origin) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Cache-Control': 'no-store'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (error) {
+                reject(Object.assign(new Error('Body is not valid JSON'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * @param {Object} options - { file, token, origin }
+ * @returns {http.Server}
+ */
+function createServer({ file, token = '', origin = '*' }) {
+    const db = loadDatabase(file);
+
+    function write(id, topic, baseRevision) {
+        const current = db.records[id];
+        if (current && current.revision !== Number(baseRevision)) return { status: 409, body: { current } };
+        if (!current && !topic) return { status: 404, body: { error: `Unknown record ${id}` } };
+        db.revision++;
+        db.records[id] = { id: Number(id), revision: db.revision, topic };
+        saveDatabase(file, db);
+        return { status: 200, body: db.records[id] };
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        if (req.method === 'OPTIONS') return send(res, 204, undefined, origin);
+        if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { error: 'Missing or wrong token' }, origin);
+
+        if (req.method === 'GET' && url.pathname === '/api/health') {
+            return send(res, 200, { ok: true, revision: db.revision }, origin);
+        }
+        if (req.method === 'GET' && url.pathname === '/api/topics') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const records = Object.values(db.records).filter(record => record.revision > since);
+            return send(res, 200, { revision: db.revision, records }, origin);
+        }
+
+        const match = url.pathname.match(/^\/api\/topics\/(\d+)$/);
+        if (match && req.method === 'PUT') {
+            const body = await readJson(req);
+            if (!body.topic || typeof body.topic !== 'object' || String(body.topic.id) !== match[1]) {
+                return send(res, 400, { error: 'Body must be { topic, baseRevision } with the id from the URL' }, origin);
+            }
+            const result = write(match[1], body.topic, body.baseRevision || 0);
+            return send(res, result.status, result.body, origin);
+        }
+        if (match && req.method === 'DELETE') {
+            const result = write(match[1], null, url.searchParams.get('baseRevision') || 0);
+            return send(res, result.status, result.body, origin);
+        }
+        return send(res, 404, { error: 'Not found' }, origin);
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            if (error.status) return send(res, error.status, { error: error.message }, origin);
+            console.error(error);
+            return send(res, 500, { error: 'Internal error' }, origin);
+        });
+    });
+}
+
+if (require.main === module) {
+    const port = Number(option('port', process.env.PORT || 8787));
+    const file = path.resolve(option('data', process.env.SYNC_DATA || 'sync-data.json'));
+    createServer({ file, token: process.env.SYNC_TOKEN || '', origin: process.env.SYNC_ORIGIN || '*' })
+        .listen(port, () => console.log(`Mastery OS sync server on http://localhost:${port}/api (data: ${file})`));
+}
+
+module.exports = { createServer };
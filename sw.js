@@ -0,0 +1,88 @@
+// ===========================================
+// MASTERY OS - SERVICE WORKER
+// ===========================================
+//
+// Caches the app shell, pinned styles, icons and fonts included, so both
+// pages open offline. Files are served from the cache first; anything not
+// listed in APP_SHELL still goes to the network.
+//
+// Bump VERSION with every release: the changed worker installs next to the
+// running one and waits until the page's update prompt asks it to take over
+// (see core/pwa.js). Activating removes the caches of older versions.
+
+const VERSION = '7';
+const CACHE_PREFIX = 'mastery-os-';
+const CACHE_NAME = CACHE_PREFIX + VERSION;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'mastery_os_fixed.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'vendor/tailwind.min.css',
+    'vendor/lucide.min.js',
+    'vendor/fonts/jetbrains-mono.css',
+    'vendor/fonts/jetbrains-mono-latin-400-normal.woff2',
+    'vendor/fonts/jetbrains-mono-latin-500-normal.woff2',
+    'vendor/fonts/jetbrains-mono-latin-700-normal.woff2',
+    'core/workspaces.js',
+    'core/topics.js',
+    'core/migrations.js',
+    'core/storage.js',
+    'core/graph.js',
+    'core/sessions.js',
+    'core/markdown.js',
+    'core/journal.js',
+    'core/history.js',
+    'core/trash.js',
+    'core/formats.js',
+    'core/merge.js',
+    'core/calendar.js',
+    'core/deadlines.js',
+    'core/analytics.js',
+    'core/query.js',
+    'core/tags.js',
+    'core/board.js',
+    'core/sorting.js',
+    'core/commands.js',
+    'core/timeline.js',
+    'core/pwa.js',
+    'core/sync.js',
+    'core/remote.js',
+    'core/encryption.js',
+    'core/store.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The update prompt sends this once the user agrees to reload
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request).catch(() => {
+            // Offline and not cached: pages fall back to the main app
+            if (request.mode === 'navigate') return caches.match('mastery_os_fixed.html');
+            return Response.error();
+        }))
+    );
+});